@@ -201,6 +201,188 @@ describe('Generic REST API', () => {
     });
   });
 
+  describe('Advanced filtering', () => {
+    beforeEach(async () => {
+      const products = [
+        { name: 'Apple', price: 5, status: 'active', tags: ['fruit', 'red'], address: { city: 'Lisbon' }, releasedAt: '2024-01-10T00:00:00.000Z' },
+        { name: 'Avocado', price: 12, status: 'draft', tags: ['fruit'], address: { city: 'Porto' }, releasedAt: '2024-03-01T00:00:00.000Z' },
+        { name: 'Banana', price: 30, status: 'archived', tags: ['fruit', 'yellow'], address: { city: 'Lisbon' }, deletedAt: null },
+        { name: 'Carrot', price: 100, status: 'active', tags: ['vegetable'], deletedAt: '2024-05-01T00:00:00.000Z', releasedAt: '2024-06-15T00:00:00.000Z' }
+      ];
+
+      for (const product of products) {
+        await request(app).post('/products').send(product);
+      }
+    });
+
+    const names = response => response.body.map(item => item.name).sort();
+
+    it('should combine several operators on the same field', async () => {
+      const response = await request(app)
+        .get('/products?price_gte=10&price_lte=50')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Avocado', 'Banana']);
+    });
+
+    it('should compare numbers numerically instead of as text', async () => {
+      const response = await request(app)
+        .get('/products?price_gt=9')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Avocado', 'Banana', 'Carrot']);
+    });
+
+    it('should compare dates', async () => {
+      const response = await request(app)
+        .get('/products?releasedAt_gte=2024-02-01&releasedAt_lt=2024-06-01')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Avocado']);
+    });
+
+    it('should support in, ne and nin lists', async () => {
+      const inList = await request(app).get('/products?status_in=active,draft').expect(200);
+      expect(names(inList)).toEqual(['Apple', 'Avocado', 'Carrot']);
+
+      const notIn = await request(app).get('/products?status_nin=active,draft').expect(200);
+      expect(names(notIn)).toEqual(['Banana']);
+
+      const notEqual = await request(app).get('/products?status_ne=active').expect(200);
+      expect(names(notEqual)).toEqual(['Avocado', 'Banana']);
+    });
+
+    it('should match array elements with contains', async () => {
+      const response = await request(app)
+        .get('/products?tags_contains=red')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Apple']);
+    });
+
+    it('should filter on missing and null values', async () => {
+      const empty = await request(app).get('/products?deletedAt_null=true').expect(200);
+      expect(names(empty)).toEqual(['Apple', 'Avocado', 'Banana']);
+
+      const filled = await request(app).get('/products?deletedAt_null=false').expect(200);
+      expect(names(filled)).toEqual(['Carrot']);
+    });
+
+    it('should match regular expressions', async () => {
+      const response = await request(app)
+        .get('/products?name_regex=^A')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Apple', 'Avocado']);
+
+      await request(app).get('/products?name_regex=%28unclosed').expect(400);
+    });
+
+    it('should filter on nested dot-paths', async () => {
+      const response = await request(app)
+        .get('/products?address.city=lisbon')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Apple', 'Banana']);
+    });
+
+    it('should accept operator objects in the query string', async () => {
+      const response = await request(app)
+        .get('/products?price[gte]=10&price[lt]=100')
+        .expect(200);
+
+      expect(names(response)).toEqual(['Avocado', 'Banana']);
+    });
+
+    it('should support OR groups with _or', async () => {
+      const filter = JSON.stringify([{ status: 'draft' }, { price: { gte: 100 } }]);
+      const response = await request(app)
+        .get(`/products?_or=${encodeURIComponent(filter)}`)
+        .expect(200);
+
+      expect(names(response)).toEqual(['Avocado', 'Carrot']);
+    });
+
+    it('should support compound logic with _where combined with other filters', async () => {
+      const where = JSON.stringify({
+        $or: [{ 'address.city': 'Lisbon' }, { tags: { contains: 'vegetable' } }],
+        $not: { status: 'archived' }
+      });
+      const response = await request(app)
+        .get(`/products?_where=${encodeURIComponent(where)}&price_lt=50`)
+        .expect(200);
+
+      expect(names(response)).toEqual(['Apple']);
+    });
+
+    it('should reject malformed JSON filters and unknown operators', async () => {
+      await request(app).get('/products?_where=%7Bbroken').expect(400);
+      await request(app).get(`/products?_where=${encodeURIComponent('{"price":{"between":1}}')}`).expect(400);
+    });
+
+    it('should sort by nested dot-paths', async () => {
+      const response = await request(app)
+        .get('/products?_sort=address.city&_order=desc&address.city_null=false')
+        .expect(200);
+
+      expect(response.body.map(item => item.address.city)).toEqual(['Porto', 'Lisbon', 'Lisbon']);
+    });
+  });
+
+  describe('Full-text search', () => {
+    beforeEach(async () => {
+      const users = [
+        { name: 'José Silva', email: 'jose@example.com', status: 'active', address: { city: 'São Paulo' } },
+        { name: 'Maria Joseph', email: 'maria@example.com', status: 'inactive', tags: ['paulista'] },
+        { name: 'John Doe', email: 'john@jose.dev', status: 'active' },
+        { name: 'Ana', email: 'ana@example.com', status: 'active', notes: 'knows José' }
+      ];
+
+      for (const user of users) {
+        await request(app).post('/users').send(user);
+      }
+    });
+
+    it('should search case- and accent-insensitively across all string fields', async () => {
+      const response = await request(app)
+        .get('/users?q=JOSE')
+        .expect(200);
+
+      const names = response.body.map(user => user.name);
+      expect(names).toHaveLength(4);
+      expect(names[0]).toBe('José Silva');
+    });
+
+    it('should search nested objects and arrays', async () => {
+      const city = await request(app).get('/users?q=sao paulo').expect(200);
+      expect(city.body.map(user => user.name)).toEqual(['José Silva']);
+
+      const tag = await request(app).get('/users?q=paulista').expect(200);
+      expect(tag.body.map(user => user.name)).toEqual(['Maria Joseph']);
+    });
+
+    it('should restrict the search to _searchFields', async () => {
+      const response = await request(app)
+        .get('/users?q=jose&_searchFields=name,address.city')
+        .expect(200);
+
+      expect(response.body.map(user => user.name).sort()).toEqual(['José Silva', 'Maria Joseph']);
+    });
+
+    it('should combine with filters, sorting and pagination', async () => {
+      const response = await request(app)
+        .get('/users?q=jose&status=active&_sort=name&_order=asc&_limit=2')
+        .expect(200);
+
+      expect(response.body.map(user => user.name)).toEqual(['Ana', 'John Doe']);
+    });
+
+    it('should return an empty list when nothing matches', async () => {
+      const response = await request(app).get('/users?q=nobody').expect(200);
+      expect(response.body).toEqual([]);
+    });
+  });
+
   describe('Sorting', () => {
     beforeEach(async () => {
       const users = [
@@ -262,6 +444,343 @@ describe('Generic REST API', () => {
 
       expect(response.body).toHaveLength(2);
     });
+
+    it('should send X-Total-Count and Link headers', async () => {
+      const response = await request(app)
+        .get('/users?_sort=index&_offset=2&_limit=2')
+        .expect(200);
+
+      expect(response.headers['x-total-count']).toBe('5');
+      expect(response.body.map(user => user.index)).toEqual([3, 4]);
+
+      const link = response.headers.link;
+      expect(link).toMatch(/<[^>]*_offset=0&_limit=2>; rel="first"/);
+      expect(link).toMatch(/<[^>]*_offset=0&_limit=2>; rel="prev"/);
+      expect(link).toMatch(/<[^>]*_offset=4&_limit=2>; rel="next"/);
+      expect(link).toMatch(/<[^>]*_offset=4&_limit=2>; rel="last"/);
+      expect(link).toContain('_sort=index');
+    });
+
+    it('should count the total after filters', async () => {
+      const response = await request(app)
+        .get('/users?index=%3E2&_limit=1')
+        .expect(200);
+
+      expect(response.headers['x-total-count']).toBe('3');
+      expect(response.body).toHaveLength(1);
+    });
+
+    it('should paginate with _page and _per_page', async () => {
+      const response = await request(app)
+        .get('/users?_sort=index&_page=2&_per_page=2')
+        .expect(200);
+
+      expect(response.body.map(user => user.index)).toEqual([3, 4]);
+
+      const link = response.headers.link;
+      expect(link).toMatch(/_page=1&_per_page=2>; rel="first"/);
+      expect(link).toMatch(/_page=1&_per_page=2>; rel="prev"/);
+      expect(link).toMatch(/_page=3&_per_page=2>; rel="next"/);
+      expect(link).toMatch(/_page=3&_per_page=2>; rel="last"/);
+    });
+
+    it('should wrap the response in an envelope when asked', async () => {
+      const response = await request(app)
+        .get('/users?_sort=index&_page=3&_per_page=2&_envelope=true')
+        .expect(200);
+
+      expect(response.body.data.map(user => user.index)).toEqual([5]);
+      expect(response.body.meta).toEqual({ total: 5, count: 1, page: 3, perPage: 2, pages: 3 });
+    });
+
+    it('should paginate with stable cursors while items are inserted', async () => {
+      const first = await request(app)
+        .get('/users?_sort=index&_cursor=&_limit=2&_envelope=true')
+        .expect(200);
+
+      expect(first.body.data.map(user => user.index)).toEqual([1, 2]);
+      const { nextCursor } = first.body.meta;
+      expect(nextCursor).toEqual(expect.any(String));
+      expect(first.headers.link).toContain('rel="next"');
+
+      // A record created meanwhile does not shift the next page
+      await request(app).post('/users').send({ name: 'User 6', index: 6 });
+
+      const second = await request(app)
+        .get(`/users?_sort=index&_after=${encodeURIComponent(nextCursor)}&_limit=2&_envelope=true`)
+        .expect(200);
+
+      expect(second.body.data.map(user => user.index)).toEqual([3, 4]);
+
+      const third = await request(app)
+        .get(`/users?_sort=index&_after=${encodeURIComponent(second.body.meta.nextCursor)}&_limit=2&_envelope=true`)
+        .expect(200);
+
+      expect(third.body.data.map(user => user.index)).toEqual([5, 6]);
+      expect(third.body.meta.nextCursor).toBeNull();
+      expect(third.headers.link).not.toContain('rel="next"');
+    });
+
+    it('should reject invalid cursors and page parameters', async () => {
+      await request(app).get('/users?_after=not-a-cursor').expect(400);
+      await request(app).get('/users?_limit=-1').expect(400);
+    });
+  });
+
+  describe('Relationships (_expand and _embed)', () => {
+    let user;
+    let post;
+    let orphanPost;
+
+    beforeEach(async () => {
+      const company = (await request(app).post('/companies').send({ name: 'ACME' })).body;
+      user = (await request(app).post('/users').send({ name: 'John', companyId: company.id })).body;
+      post = (await request(app).post('/posts').send({ title: 'Hello', userId: user.id })).body;
+      orphanPost = (await request(app)
+        .post('/posts')
+        .send({ title: 'Orphan', userId: '550e8400-e29b-41d4-a716-446655440000' })).body;
+
+      await request(app).post('/comments').send({ body: 'First', postId: post.id, userId: user.id });
+      await request(app).post('/comments').send({ body: 'Second', postId: post.id });
+    });
+
+    it('should expand a foreign key on a single item', async () => {
+      const response = await request(app)
+        .get(`/posts/${post.id}?_expand=user`)
+        .expect(200);
+
+      expect(response.body.user).toEqual(user);
+      expect(response.body.title).toBe('Hello');
+    });
+
+    it('should embed child records on a single item', async () => {
+      const response = await request(app)
+        .get(`/posts/${post.id}?_embed=comments`)
+        .expect(200);
+
+      expect(response.body.comments).toHaveLength(2);
+      response.body.comments.forEach(comment => expect(comment.postId).toBe(post.id));
+    });
+
+    it('should expand and embed on collection listings', async () => {
+      const response = await request(app)
+        .get('/posts?_expand=user&_embed=comments&_sort=title')
+        .expect(200);
+
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0].user.name).toBe('John');
+      expect(response.body[0].comments).toHaveLength(2);
+      expect(response.body[1].comments).toEqual([]);
+    });
+
+    it('should resolve missing references to null instead of failing', async () => {
+      const response = await request(app)
+        .get(`/posts/${orphanPost.id}?_expand=user&_embed=likes`)
+        .expect(200);
+
+      expect(response.body.user).toBeNull();
+      expect(response.body.likes).toEqual([]);
+    });
+
+    it('should follow dotted relations', async () => {
+      const expanded = await request(app)
+        .get(`/posts/${post.id}?_expand=user.company`)
+        .expect(200);
+
+      expect(expanded.body.user.company.name).toBe('ACME');
+
+      const embedded = await request(app)
+        .get(`/posts/${post.id}?_embed=comments&_expand=user`)
+        .expect(200);
+
+      expect(embedded.body.user.name).toBe('John');
+      expect(embedded.body.comments).toHaveLength(2);
+    });
+
+    it('should limit the relation depth', async () => {
+      const shallowServer = new GenericRestServer({ dbPath: TEST_DB_PATH, maxRelationDepth: 1 });
+
+      const response = await request(shallowServer.getApp())
+        .get(`/posts/${post.id}?_expand=user.company`)
+        .expect(200);
+
+      expect(response.body.user.name).toBe('John');
+      expect(response.body.user).not.toHaveProperty('company');
+    });
+  });
+
+  describe('Field projection (_fields and _exclude)', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = (await request(app).post('/users').send({
+        name: 'John',
+        password: 'secret',
+        internalNotes: 'vip',
+        address: { city: 'Lisbon', street: 'Main St' },
+        phones: [{ type: 'home', number: '123' }, { type: 'work', number: '456' }]
+      })).body;
+      await request(app).post('/users').send({ name: 'Jane', password: 'hidden', address: { city: 'Porto' } });
+      await request(app).post('/posts').send({ title: 'Hello', userId: user.id, draft: true });
+    });
+
+    it('should project fields including nested dot-paths', async () => {
+      const response = await request(app)
+        .get(`/users/${user.id}?_fields=id,name,address.city,phones.number`)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        id: user.id,
+        name: 'John',
+        address: { city: 'Lisbon' },
+        phones: [{ number: '123' }, { number: '456' }]
+      });
+    });
+
+    it('should exclude fields from collection listings after filtering and sorting', async () => {
+      const response = await request(app)
+        .get('/users?_sort=name&_exclude=password,internalNotes,address.street')
+        .expect(200);
+
+      expect(response.body.map(item => item.name)).toEqual(['Jane', 'John']);
+      response.body.forEach(item => {
+        expect(item).not.toHaveProperty('password');
+        expect(item).not.toHaveProperty('internalNotes');
+        expect(item.address).not.toHaveProperty('street');
+        expect(item.address).toHaveProperty('city');
+      });
+    });
+
+    it('should filter on fields that are not projected', async () => {
+      const response = await request(app)
+        .get('/users?password=secret&_fields=name')
+        .expect(200);
+
+      expect(response.body).toEqual([{ name: 'John' }]);
+    });
+
+    it('should honor projection in expanded relations', async () => {
+      const projected = await request(app)
+        .get('/posts?_expand=user&_fields=title,user.name')
+        .expect(200);
+
+      expect(projected.body).toEqual([{ title: 'Hello', user: { name: 'John' } }]);
+
+      const withRelation = await request(app)
+        .get('/posts?_expand=user&_fields=title')
+        .expect(200);
+
+      expect(withRelation.body[0].title).toBe('Hello');
+      expect(withRelation.body[0]).not.toHaveProperty('draft');
+      expect(withRelation.body[0].user.name).toBe('John');
+
+      const excluded = await request(app)
+        .get('/posts?_expand=user&_exclude=password,draft')
+        .expect(200);
+
+      expect(excluded.body[0]).not.toHaveProperty('draft');
+      expect(excluded.body[0].user.name).toBe('John');
+      expect(excluded.body[0].user).not.toHaveProperty('password');
+    });
+
+    it('should not send the item ETag for projected responses', async () => {
+      const response = await request(app)
+        .get(`/users/${user.id}?_fields=name`)
+        .expect(200);
+
+      expect(response.headers.etag).not.toBe(
+        (await request(app).get(`/users/${user.id}`)).headers.etag
+      );
+    });
+  });
+
+  describe('Nested routes', () => {
+    let user;
+    let otherUser;
+
+    beforeEach(async () => {
+      user = (await request(app).post('/users').send({ name: 'John' })).body;
+      otherUser = (await request(app).post('/users').send({ name: 'Jane' })).body;
+    });
+
+    it('should create children in the child collection with the parent id', async () => {
+      const response = await request(app)
+        .post(`/users/${user.id}/posts`)
+        .send({ title: 'Hello', userId: otherUser.id })
+        .expect(201);
+
+      expect(response.body.userId).toBe(user.id);
+
+      const posts = await request(app).get('/posts').expect(200);
+      expect(posts.body).toHaveLength(1);
+
+      // The users collection only contains users
+      const users = await request(app).get('/users').expect(200);
+      expect(users.body).toHaveLength(2);
+    });
+
+    it('should list only the children of the parent', async () => {
+      await request(app).post(`/users/${user.id}/posts`).send({ title: 'Mine' });
+      await request(app).post(`/users/${otherUser.id}/posts`).send({ title: 'Theirs' });
+
+      const response = await request(app)
+        .get(`/users/${user.id}/posts`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].title).toBe('Mine');
+    });
+
+    it('should return 404 when the parent does not exist', async () => {
+      const missingId = '550e8400-e29b-41d4-a716-446655440000';
+
+      await request(app).get(`/users/${missingId}/posts`).expect(404);
+      await request(app).post(`/users/${missingId}/posts`).send({ title: 'Lost' }).expect(404);
+
+      const posts = await request(app).get('/posts').expect(200);
+      expect(posts.body).toEqual([]);
+    });
+
+    it('should scope item operations to the parent', async () => {
+      const post = (await request(app).post(`/users/${user.id}/posts`).send({ title: 'Mine' })).body;
+
+      await request(app).get(`/users/${user.id}/posts/${post.id}`).expect(200);
+      await request(app).get(`/users/${otherUser.id}/posts/${post.id}`).expect(404);
+      await request(app).patch(`/users/${otherUser.id}/posts/${post.id}`).send({ title: 'Stolen' }).expect(404);
+      await request(app).delete(`/users/${otherUser.id}/posts/${post.id}`).expect(404);
+
+      const updated = await request(app)
+        .put(`/users/${user.id}/posts/${post.id}`)
+        .send({ title: 'Updated' })
+        .expect(200);
+
+      expect(updated.body.userId).toBe(user.id);
+
+      await request(app).delete(`/users/${user.id}/posts/${post.id}`).expect(200);
+      await request(app).get(`/posts/${post.id}`).expect(404);
+    });
+
+    it('should support deeper nesting', async () => {
+      const post = (await request(app).post(`/users/${user.id}/posts`).send({ title: 'Mine' })).body;
+
+      const comment = await request(app)
+        .post(`/users/${user.id}/posts/${post.id}/comments`)
+        .send({ body: 'Nice' })
+        .expect(201);
+
+      expect(comment.body.postId).toBe(post.id);
+
+      const comments = await request(app)
+        .get(`/users/${user.id}/posts/${post.id}/comments`)
+        .expect(200);
+
+      expect(comments.body).toHaveLength(1);
+
+      // The post does not belong to the other user
+      await request(app)
+        .get(`/users/${otherUser.id}/posts/${post.id}/comments`)
+        .expect(404);
+    });
   });
 
   describe('PUT requests', () => {
@@ -290,6 +809,44 @@ describe('Generic REST API', () => {
       expect(updateResponse.body).toHaveProperty('createdAt');
     });
 
+    it('should replace the item, removing fields not sent', async () => {
+      const createResponse = await request(app)
+        .post('/users')
+        .send({ name: 'John', email: 'john@example.com', age: 30 })
+        .expect(201);
+
+      const userId = createResponse.body.id;
+
+      const updateResponse = await request(app)
+        .put(`/users/${userId}`)
+        .send({ name: 'John Silva', id: 'other-id', createdAt: 'yesterday' })
+        .expect(200);
+
+      expect(updateResponse.body.name).toBe('John Silva');
+      expect(updateResponse.body).not.toHaveProperty('email');
+      expect(updateResponse.body).not.toHaveProperty('age');
+      expect(updateResponse.body.id).toBe(userId);
+      expect(updateResponse.body.createdAt).toBe(createResponse.body.createdAt);
+
+      const getResponse = await request(app)
+        .get(`/users/${userId}`)
+        .expect(200);
+
+      expect(getResponse.body).toEqual(updateResponse.body);
+    });
+
+    it('should return 400 when the body is not an object', async () => {
+      const createResponse = await request(app)
+        .post('/users')
+        .send({ name: 'John' })
+        .expect(201);
+
+      await request(app)
+        .put(`/users/${createResponse.body.id}`)
+        .send([{ name: 'John' }])
+        .expect(400);
+    });
+
     it('should return 404 for non-existent item', async () => {
       const nonExistentId = '550e8400-e29b-41d4-a716-446655440000';
       
@@ -326,6 +883,89 @@ describe('Generic REST API', () => {
       expect(updateResponse.body.age).toBe(30); // Should be updated
       expect(updateResponse.body).toHaveProperty('updatedAt');
     });
+
+    describe('JSON Merge Patch', () => {
+      it('should deep merge nested objects and delete keys set to null', async () => {
+        const createResponse = await request(app)
+          .post('/users')
+          .send({
+            name: 'John',
+            nickname: 'Johnny',
+            address: { city: 'Lisbon', street: 'Main St', zip: '1000' }
+          })
+          .expect(201);
+
+        const userId = createResponse.body.id;
+
+        const updateResponse = await request(app)
+          .patch(`/users/${userId}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ nickname: null, address: { city: 'Porto', zip: null }, createdAt: null }))
+          .expect(200);
+
+        expect(updateResponse.body).not.toHaveProperty('nickname');
+        expect(updateResponse.body.address).toEqual({ city: 'Porto', street: 'Main St' });
+        expect(updateResponse.body.name).toBe('John');
+        expect(updateResponse.body.createdAt).toBe(createResponse.body.createdAt);
+      });
+    });
+
+    describe('JSON Patch', () => {
+      let userId;
+
+      beforeEach(async () => {
+        const createResponse = await request(app)
+          .post('/users')
+          .send({ name: 'John', tags: ['a', 'b'], address: { city: 'Lisbon' } })
+          .expect(201);
+
+        userId = createResponse.body.id;
+      });
+
+      const patch = (operations) => request(app)
+        .patch(`/users/${userId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify(operations));
+
+      it('should apply add, remove, replace, move and copy operations', async () => {
+        const response = await patch([
+          { op: 'test', path: '/name', value: 'John' },
+          { op: 'add', path: '/tags/-', value: 'c' },
+          { op: 'remove', path: '/tags/0' },
+          { op: 'replace', path: '/name', value: 'John Silva' },
+          { op: 'move', from: '/address/city', path: '/city' },
+          { op: 'copy', from: '/city', path: '/address/town' }
+        ]).expect(200);
+
+        expect(response.body.name).toBe('John Silva');
+        expect(response.body.tags).toEqual(['b', 'c']);
+        expect(response.body.city).toBe('Lisbon');
+        expect(response.body.address).toEqual({ town: 'Lisbon' });
+        expect(response.body.id).toBe(userId);
+        expect(response.body).toHaveProperty('updatedAt');
+      });
+
+      it('should return 409 and keep the item unchanged when a test fails', async () => {
+        const response = await patch([
+          { op: 'replace', path: '/name', value: 'Changed' },
+          { op: 'test', path: '/name', value: 'John' }
+        ]).expect(409);
+
+        expect(response.body).toHaveProperty('error');
+
+        const getResponse = await request(app)
+          .get(`/users/${userId}`)
+          .expect(200);
+
+        expect(getResponse.body.name).toBe('John');
+      });
+
+      it('should return 422 for invalid operations', async () => {
+        await patch([{ op: 'remove', path: '/missing' }]).expect(422);
+        await patch([{ op: 'jump', path: '/name' }]).expect(422);
+        await patch({ op: 'add', path: '/name', value: 'x' }).expect(422);
+      });
+    });
   });
 
   describe('DELETE requests', () => {
@@ -364,6 +1004,301 @@ describe('Generic REST API', () => {
     });
   });
 
+  describe('Optimistic concurrency (ETag)', () => {
+    let userId;
+    let etag;
+
+    beforeEach(async () => {
+      const createResponse = await request(app)
+        .post('/users')
+        .send({ name: 'John Doe', age: 30 })
+        .expect(201);
+
+      userId = createResponse.body.id;
+      etag = createResponse.headers.etag;
+    });
+
+    it('should send the same ETag on create and GET', async () => {
+      expect(etag).toMatch(/^"[0-9a-f]+"$/);
+
+      const response = await request(app)
+        .get(`/users/${userId}`)
+        .expect(200);
+
+      expect(response.headers.etag).toBe(etag);
+    });
+
+    it('should return 304 when If-None-Match matches', async () => {
+      await request(app)
+        .get(`/users/${userId}`)
+        .set('If-None-Match', etag)
+        .expect(304);
+
+      await request(app)
+        .get(`/users/${userId}`)
+        .set('If-None-Match', '"stale"')
+        .expect(200);
+    });
+
+    it('should change the ETag when the item is updated', async () => {
+      const response = await request(app)
+        .patch(`/users/${userId}`)
+        .set('If-Match', etag)
+        .send({ age: 31 })
+        .expect(200);
+
+      expect(response.headers.etag).toBeDefined();
+      expect(response.headers.etag).not.toBe(etag);
+    });
+
+    it('should reject PUT, PATCH and DELETE with a stale If-Match', async () => {
+      const updateResponse = await request(app)
+        .put(`/users/${userId}`)
+        .set('If-Match', etag)
+        .send({ name: 'Tab 1' })
+        .expect(200);
+
+      const conflict = await request(app)
+        .patch(`/users/${userId}`)
+        .set('If-Match', etag)
+        .send({ name: 'Tab 2' })
+        .expect(412);
+
+      expect(conflict.body).toHaveProperty('error');
+      expect(conflict.headers.etag).toBe(updateResponse.headers.etag);
+
+      await request(app)
+        .put(`/users/${userId}`)
+        .set('If-Match', etag)
+        .send({ name: 'Tab 2' })
+        .expect(412);
+
+      await request(app)
+        .delete(`/users/${userId}`)
+        .set('If-Match', etag)
+        .expect(412);
+
+      const getResponse = await request(app)
+        .get(`/users/${userId}`)
+        .expect(200);
+
+      expect(getResponse.body.name).toBe('Tab 1');
+
+      await request(app)
+        .delete(`/users/${userId}`)
+        .set('If-Match', updateResponse.headers.etag)
+        .expect(200);
+    });
+
+    it('should return 412 for If-Match on a missing item', async () => {
+      await request(app)
+        .put('/users/550e8400-e29b-41d4-a716-446655440000')
+        .set('If-Match', '*')
+        .send({ name: 'Test' })
+        .expect(412);
+    });
+  });
+
+  describe('Bulk operations', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'integer', minimum: 0 }
+      }
+    };
+
+    const writeSchema = async (collection) => {
+      await fs.mkdir(path.join(TEST_DB_PATH, collection), { recursive: true });
+      await fs.writeFile(path.join(TEST_DB_PATH, collection, '_schema.json'), JSON.stringify(schema));
+    };
+
+    it('should create every record of an array body', async () => {
+      const response = await request(app)
+        .post('/users')
+        .send([{ name: 'Ana' }, { name: 'Bruno' }, { name: 'Carla' }])
+        .expect(201);
+
+      expect(response.body.created).toHaveLength(3);
+      expect(response.body.errors).toEqual([]);
+      expect(response.body.created[0]).toHaveProperty('id');
+      expect(response.body.created[0]).toHaveProperty('createdAt');
+
+      const listResponse = await request(app).get('/users').expect(200);
+      expect(listResponse.body).toHaveLength(3);
+    });
+
+    it('should report the records that failed validation', async () => {
+      await writeSchema('people');
+
+      const response = await request(app)
+        .post('/people')
+        .send([{ name: 'Ana', age: 30 }, { age: -1 }, 'not an object', { name: 'Dora' }])
+        .expect(207);
+
+      expect(response.body.created.map(item => item.name)).toEqual(['Ana', 'Dora']);
+      expect(response.body.errors).toHaveLength(2);
+      expect(response.body.errors[0]).toMatchObject({ index: 1, status: 422 });
+      expect(response.body.errors[0].errors.map(error => error.field).sort()).toEqual(['age', 'name']);
+      expect(response.body.errors[1]).toMatchObject({ index: 2, status: 400 });
+
+      const listResponse = await request(app).get('/people').expect(200);
+      expect(listResponse.body).toHaveLength(2);
+    });
+
+    it('should update every record matching the filters', async () => {
+      await request(app)
+        .post('/tasks')
+        .send([{ title: 'A', status: 'todo' }, { title: 'B', status: 'todo' }, { title: 'C', status: 'done' }]);
+
+      const response = await request(app)
+        .patch('/tasks?status=todo')
+        .send({ status: 'doing', owner: 'ana' })
+        .expect(200);
+
+      expect(response.body.updated).toHaveLength(2);
+      expect(response.body.updated.every(item => item.status === 'doing' && item.updatedAt)).toBe(true);
+
+      const listResponse = await request(app).get('/tasks?_sort=title').expect(200);
+      expect(listResponse.body.map(item => item.status)).toEqual(['doing', 'doing', 'done']);
+      expect(listResponse.body[2]).not.toHaveProperty('owner');
+    });
+
+    it('should report the records whose update failed validation', async () => {
+      await writeSchema('people');
+      await request(app).post('/people').send([{ name: 'Ana', age: 30 }, { name: 'Bruno', age: 40 }]);
+
+      const response = await request(app)
+        .patch('/people?age_gte=0')
+        .set('Content-Type', 'application/json-patch+json')
+        .send([{ op: 'replace', path: '/age', value: -5 }])
+        .expect(207);
+
+      expect(response.body.updated).toEqual([]);
+      expect(response.body.errors).toHaveLength(2);
+      expect(response.body.errors[0]).toHaveProperty('id');
+      expect(response.body.errors[0].status).toBe(422);
+    });
+
+    it('should delete every record matching the filters', async () => {
+      await request(app)
+        .post('/tasks')
+        .send([{ title: 'A', status: 'todo' }, { title: 'B', status: 'done' }, { title: 'C', status: 'done' }]);
+
+      const response = await request(app)
+        .delete('/tasks?status=done')
+        .expect(200);
+
+      expect(response.body.deleted).toHaveLength(2);
+
+      const listResponse = await request(app).get('/tasks').expect(200);
+      expect(listResponse.body.map(item => item.title)).toEqual(['A']);
+    });
+
+    it('should not treat a blank search as a filter', async () => {
+      await request(app)
+        .post('/tasks')
+        .send([{ title: 'A' }, { title: 'B' }]);
+
+      await request(app).delete('/tasks?q=').expect(404);
+      await request(app).delete('/tasks?q=%20').expect(404);
+      await request(app).patch('/tasks?q=').send({ title: 'Z' }).expect(404);
+
+      const listResponse = await request(app).get('/tasks?_sort=title').expect(200);
+      expect(listResponse.body.map(item => item.title)).toEqual(['A', 'B']);
+    });
+
+    it('should not treat an empty _where or _or as a filter', async () => {
+      await request(app)
+        .post('/tasks')
+        .send([{ title: 'A' }, { title: 'B' }]);
+
+      for (const query of ['_where={}', '_where={"$and":[]}', '_where={"title":{}}', '_where=[{}]', '_or=[]', '_or=[{}]']) {
+        await request(app).delete(`/tasks?${encodeURI(query)}`).expect(404);
+        await request(app).patch(`/tasks?${encodeURI(query)}`).send({ title: 'Z' }).expect(404);
+      }
+
+      const listResponse = await request(app).get('/tasks?_sort=title').expect(200);
+      expect(listResponse.body.map(item => item.title)).toEqual(['A', 'B']);
+
+      // A real condition still counts
+      await request(app).delete(`/tasks?${encodeURI('_where={"title":"A"}')}`).expect(200);
+      await request(app).delete('/tasks?_where=oops').expect(400);
+    });
+
+    it('should scope bulk operations to the parent on nested routes', async () => {
+      const users = await request(app).post('/users').send([{ name: 'Ana' }, { name: 'Bruno' }]);
+      const [ana, bruno] = users.body.created;
+
+      const created = await request(app)
+        .post(`/users/${ana.id}/posts`)
+        .send([{ title: 'One', draft: true }, { title: 'Two', draft: true }])
+        .expect(201);
+      expect(created.body.created.every(post => post.userId === ana.id)).toBe(true);
+
+      await request(app).post(`/users/${bruno.id}/posts`).send({ title: 'Three', draft: true });
+
+      const response = await request(app)
+        .delete(`/users/${ana.id}/posts?draft=true`)
+        .expect(200);
+      expect(response.body.deleted).toHaveLength(2);
+
+      const listResponse = await request(app).get('/posts').expect(200);
+      expect(listResponse.body.map(post => post.title)).toEqual(['Three']);
+    });
+
+    it('should run mixed operations with /_batch', async () => {
+      const created = await request(app).post('/users').send({ name: 'Ana' });
+      const userId = created.body.id;
+
+      const response = await request(app)
+        .post('/_batch')
+        .send({
+          operations: [
+            { method: 'POST', path: '/users', body: { name: 'Bruno' } },
+            { method: 'PATCH', path: `/users/${userId}`, body: { role: 'admin' } },
+            { method: 'PUT', path: '/users/550e8400-e29b-41d4-a716-446655440000', body: { name: 'Ghost' } },
+            { method: 'DELETE', path: `/users/${userId}`, headers: { 'If-Match': '"stale"' } },
+            { method: 'GET', path: '/users' },
+            { path: '/users' }
+          ]
+        })
+        .expect(200);
+
+      const { results } = response.body;
+      expect(results.map(result => result.status)).toEqual([201, 200, 404, 412, 405, 405]);
+      expect(results[0].body.name).toBe('Bruno');
+      expect(results[1].body.role).toBe('admin');
+
+      const listResponse = await request(app).get('/users?_sort=name').expect(200);
+      expect(listResponse.body.map(user => user.name)).toEqual(['Ana', 'Bruno']);
+    });
+
+    it('should report validation errors of /_batch operations', async () => {
+      await writeSchema('people');
+
+      const response = await request(app)
+        .post('/_batch')
+        .send([
+          { method: 'POST', path: '/people', body: { age: 3 } },
+          { method: 'POST', path: '/people', body: { name: 'Ana' } }
+        ])
+        .expect(200);
+
+      expect(response.body.results[0].status).toBe(422);
+      expect(response.body.results[0].body.errors[0].field).toBe('name');
+      expect(response.body.results[1].status).toBe(201);
+    });
+
+    it('should reject a /_batch body without operations', async () => {
+      await request(app)
+        .post('/_batch')
+        .send({ method: 'POST' })
+        .expect(400);
+    });
+  });
+
   describe('Error handling', () => {
     it('should handle PUT to collection (treating as POST-like behavior)', async () => {
       // Since PUT without ID goes to the collection route, it gets handled by 404 handler
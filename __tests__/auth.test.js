@@ -0,0 +1,274 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+const { signToken } = require('../src/auth');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-auth');
+const SECRET = 'test-secret';
+
+const RULES = {
+  '*': { read: 'public', write: 'authenticated' },
+  notes: 'owner',
+  posts: { read: 'public', write: 'authenticated', PATCH: 'owner', DELETE: ['owner', 'role:admin'] },
+  settings: { read: 'authenticated', write: 'role:admin' },
+  secrets: 'none',
+  _webhooks: 'role:admin'
+};
+
+describe('Authentication', () => {
+  let server;
+  let app;
+
+  const createServer = (auth = {}) => {
+    server = new GenericRestServer({
+      port: 0,
+      dbPath: TEST_DB_PATH,
+      auth: { secret: SECRET, rules: RULES, apiKeys: [{ key: 'admin-key', role: 'admin', name: 'ci' }], ...auth }
+    });
+    app = server.getApp();
+  };
+
+  const register = async (email, fields = {}) => {
+    const response = await request(app)
+      .post('/_auth/register')
+      .send({ email, password: 'secret123', ...fields })
+      .expect(201);
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    createServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  describe('Accounts', () => {
+    it('should register users without storing the password in the record', async () => {
+      const session = await register('ana@example.com', { name: 'Ana', role: 'admin' });
+
+      expect(session).toMatchObject({ tokenType: 'Bearer', expiresIn: 3600 });
+      expect(session.accessToken.split('.')).toHaveLength(3);
+      expect(session.user).toMatchObject({ email: 'ana@example.com', name: 'Ana', role: 'user' });
+      expect(session.user).not.toHaveProperty('password');
+
+      const stored = await server.storage.get('users', session.user.id);
+      expect(stored).not.toHaveProperty('password');
+      const credentials = await server.storage.get('_auth/credentials', session.user.id);
+      expect(credentials.password).toMatch(/^scrypt\$/);
+      expect(await server.storage.listCollections()).toEqual(['users']);
+    });
+
+    it('should not let new accounts pick their owner', async () => {
+      const ana = await register('ana@example.com');
+      const bruno = await register('bruno@example.com', { ownerId: ana.user.id });
+
+      expect(bruno.user).not.toHaveProperty('ownerId');
+      const stored = await server.storage.get('users', bruno.user.id);
+      expect(stored).not.toHaveProperty('ownerId');
+      expect(server.auth.isOwner({ sub: bruno.user.id }, 'users', stored)).toBe(true);
+      expect(server.auth.isOwner({ sub: ana.user.id }, 'users', stored)).toBe(false);
+    });
+
+    it('should reject duplicated and invalid registrations', async () => {
+      await register('ana@example.com');
+      await request(app)
+        .post('/_auth/register')
+        .send({ email: 'ANA@example.com', password: 'another123' })
+        .expect(409);
+
+      const response = await request(app)
+        .post('/_auth/register')
+        .send({ name: 'Nobody', password: '123' })
+        .expect(422);
+      expect(response.body.errors.map(error => error.field)).toEqual(['email', 'password']);
+    });
+
+    it('should log in and identify the user', async () => {
+      const { user } = await register('ana@example.com');
+
+      await request(app)
+        .post('/_auth/login')
+        .send({ email: 'ana@example.com', password: 'wrong-password' })
+        .expect(401);
+
+      const login = await request(app)
+        .post('/_auth/login')
+        .send({ email: 'ana@example.com', password: 'secret123' })
+        .expect(200);
+      expect(login.body.user.id).toBe(user.id);
+
+      const me = await request(app)
+        .get('/_auth/me')
+        .set('Authorization', `Bearer ${login.body.accessToken}`)
+        .expect(200);
+      expect(me.body).toMatchObject({ id: user.id, email: 'ana@example.com' });
+
+      const anonymous = await request(app).get('/_auth/me').expect(401);
+      expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should reject invalid and expired tokens', async () => {
+      const { user } = await register('ana@example.com');
+      const expired = signToken({ sub: user.id, role: 'user', exp: Math.floor(Date.now() / 1000) - 10 }, SECRET);
+      const forged = signToken({ sub: user.id, role: 'admin' }, 'other-secret');
+
+      let response = await request(app).get('/posts').set('Authorization', `Bearer ${expired}`).expect(401);
+      expect(response.body.error).toBe('Token expirado');
+      response = await request(app).get('/posts').set('Authorization', `Bearer ${forged}`).expect(401);
+      expect(response.body.error).toBe('Token inválido');
+      await request(app).get('/posts').set('Authorization', 'Basic abc').expect(401);
+    });
+
+    it('should accept API keys', async () => {
+      await request(app).get('/_auth/me').set('X-API-Key', 'wrong').expect(401);
+
+      const me = await request(app).get('/_auth/me').set('X-API-Key', 'admin-key').expect(200);
+      expect(me.body).toEqual({ id: 'ci', role: 'admin' });
+
+      await request(app).post('/settings').set('X-API-Key', 'admin-key').send({ theme: 'dark' }).expect(201);
+    });
+  });
+
+  describe('Rules', () => {
+    let ana;
+    let bia;
+
+    beforeEach(async () => {
+      ana = await register('ana@example.com');
+      bia = await register('bia@example.com');
+    });
+
+    const as = (session, req) => req.set('Authorization', `Bearer ${session.accessToken}`);
+
+    it('should require authentication to write and stamp the owner', async () => {
+      const anonymous = await request(app).post('/posts').send({ title: 'Hi' }).expect(401);
+      expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+
+      const response = await as(ana, request(app).post('/posts')).send({ title: 'Hi', ownerId: bia.user.id }).expect(201);
+      expect(response.body.ownerId).toBe(ana.user.id);
+
+      await request(app).get(`/posts/${response.body.id}`).expect(200);
+    });
+
+    it('should only let owners change their records', async () => {
+      const post = (await as(ana, request(app).post('/posts')).send({ title: 'Hi' }).expect(201)).body;
+
+      await as(bia, request(app).patch(`/posts/${post.id}`)).send({ title: 'Mine now' }).expect(403);
+      await as(bia, request(app).delete(`/posts/${post.id}`)).expect(403);
+
+      const updated = await as(ana, request(app).patch(`/posts/${post.id}`))
+        .send({ title: 'Edited', ownerId: bia.user.id })
+        .expect(200);
+      expect(updated.body).toMatchObject({ title: 'Edited', ownerId: ana.user.id });
+
+      // Admins pass the role alternative of the rule
+      await request(app).delete(`/posts/${post.id}`).set('X-API-Key', 'admin-key').expect(200);
+    });
+
+    it('should narrow owner-only collections down to the caller records', async () => {
+      await as(ana, request(app).post('/notes')).send({ text: 'ana 1' }).expect(201);
+      await as(ana, request(app).post('/notes')).send({ text: 'ana 2' }).expect(201);
+      const note = (await as(bia, request(app).post('/notes')).send({ text: 'bia' }).expect(201)).body;
+
+      await request(app).get('/notes').expect(401);
+      const list = await as(ana, request(app).get('/notes')).expect(200);
+      expect(list.body.map(item => item.text).sort()).toEqual(['ana 1', 'ana 2']);
+      expect(list.headers['x-total-count']).toBe('2');
+
+      await as(ana, request(app).get(`/notes/${note.id}`)).expect(403);
+      await as(ana, request(app).get(`/notes/${note.id}/_history`)).expect(403);
+
+      // Bulk operations skip records of other users
+      const bulk = await as(ana, request(app).delete('/notes?text_like=.')).expect(200);
+      expect(bulk.body.deleted).toHaveLength(2);
+      await as(bia, request(app).get(`/notes/${note.id}`)).expect(200);
+    });
+
+    it('should apply role and none rules', async () => {
+      await as(ana, request(app).post('/settings')).send({ theme: 'dark' }).expect(403);
+      await request(app).get('/settings').expect(401);
+      await as(ana, request(app).get('/settings')).expect(200);
+
+      await as(ana, request(app).get('/secrets')).expect(403);
+      await request(app).get('/_webhooks').expect(401);
+      await request(app).get('/_webhooks').set('X-API-Key', 'admin-key').expect(200);
+    });
+
+    it('should keep users from changing their own role', async () => {
+      const response = await as(ana, request(app).patch(`/users/${ana.user.id}`))
+        .send({ name: 'Ana', role: 'admin' })
+        .expect(200);
+      expect(response.body).toMatchObject({ name: 'Ana', role: 'user' });
+    });
+
+    it('should check every operation of a batch', async () => {
+      const response = await as(ana, request(app).post('/_batch'))
+        .send([
+          { method: 'POST', path: '/posts', body: { title: 'ok' } },
+          { method: 'POST', path: '/settings', body: { theme: 'dark' } }
+        ])
+        .expect(200);
+
+      expect(response.body.results.map(result => result.status)).toEqual([201, 403]);
+    });
+
+    it('should load the rules from a file', async () => {
+      await server.stop();
+      const rulesFile = path.join(TEST_DB_PATH, 'rules.json');
+      await fs.writeFile(rulesFile, JSON.stringify({ '*': 'authenticated' }));
+      createServer({ rules: undefined, rulesFile });
+
+      await request(app).get('/posts').expect(401);
+      await as(ana, request(app).get('/posts')).expect(200);
+    });
+  });
+
+  it('should leave every route public without rules', async () => {
+    await server.stop();
+    createServer({ rules: undefined });
+
+    await request(app).post('/posts').send({ title: 'Hi' }).expect(201);
+    await request(app).get('/posts').expect(200);
+  });
+
+  it('should keep /_admin for admins unless the rules open it', async () => {
+    await server.stop();
+    createServer({ rules: { '*': 'public' } });
+    const ana = await register('ana@example.com');
+
+    await request(app).get('/_admin/export').expect(401);
+    await request(app).post('/_admin/reset').expect(401);
+    await request(app).post('/_admin/import').send({ posts: [] }).set('Authorization', `Bearer ${ana.accessToken}`).expect(403);
+    await request(app).get('/_admin/snapshots').set('Authorization', `Bearer ${ana.accessToken}`).expect(403);
+    await request(app).get('/_admin/export').set('X-API-Key', 'admin-key').expect(200);
+
+    await server.stop();
+    createServer({ rules: { '*': 'public', _admin: { read: 'authenticated', write: 'none' } } });
+    await request(app).get('/_admin/export').expect(401);
+    await request(app).get('/_admin/export').set('Authorization', `Bearer ${ana.accessToken}`).expect(200);
+    await request(app).post('/_admin/reset').set('X-API-Key', 'admin-key').expect(403);
+  });
+
+  it('should keep /_webhooks for admins unless the rules open it', async () => {
+    await server.stop();
+    createServer({ rules: { '*': 'public' } });
+    const ana = await register('ana@example.com');
+
+    await request(app).post('/_webhooks').send({ url: 'http://localhost:1/hook' }).expect(401);
+    await request(app).get('/_webhooks').set('Authorization', `Bearer ${ana.accessToken}`).expect(403);
+    await request(app).post('/_webhooks').set('X-API-Key', 'admin-key').send({ url: 'http://localhost:1/hook' }).expect(201);
+
+    await server.stop();
+    createServer({ rules: { '*': 'public', _webhooks: 'authenticated' } });
+    await request(app).get('/_webhooks').expect(401);
+    await request(app).get('/_webhooks').set('Authorization', `Bearer ${ana.accessToken}`).expect(200);
+  });
+});
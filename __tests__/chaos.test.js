@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { GenericRestServer } = require('../src/index');
+
+describe('Chaos simulation', () => {
+  let server;
+  let app;
+
+  const createServer = (chaos) => {
+    server = new GenericRestServer({ port: 0, storage: 'memory', chaos });
+    app = server.getApp();
+  };
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should answer normally without settings', async () => {
+    createServer();
+    const response = await request(app).get('/orders').expect(200);
+    expect(response.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
+  it('should delay responses', async () => {
+    createServer({ delay: '100-150' });
+    const startTime = Date.now();
+    await request(app).get('/orders').expect(200);
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(95);
+  });
+
+  it('should fail requests with the configured status codes', async () => {
+    createServer({ failureRate: 1, failureStatus: [503] });
+    const response = await request(app).post('/orders').send({ total: 1 }).expect(503);
+
+    expect(response.body).toEqual({ error: 'Falha simulada', status: 503 });
+    expect(response.headers['retry-after']).toBe('1');
+    // Failed requests never reach the data
+    expect(await server.storage.list('orders')).toEqual([]);
+  });
+
+  it('should apply the settings of matching routes', async () => {
+    createServer({ routes: { 'POST /orders*': { failureRate: 1, failureStatus: '502' } } });
+
+    await request(app).get('/orders').expect(200);
+    await request(app).post('/users').send({ name: 'Ana' }).expect(201);
+    await request(app).post('/orders').send({ total: 1 }).expect(502);
+    await request(app).post('/orders/archive').send({ total: 1 }).expect(502);
+  });
+
+  it('should rate limit each client with 429 and Retry-After', async () => {
+    createServer({ rateLimit: '2/1m' });
+
+    let response = await request(app).get('/orders').expect(200);
+    expect(response.headers['x-ratelimit-limit']).toBe('2');
+    expect(response.headers['x-ratelimit-remaining']).toBe('1');
+    await request(app).get('/orders').expect(200);
+
+    response = await request(app).get('/orders').expect(429);
+    expect(response.headers['x-ratelimit-remaining']).toBe('0');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(response.headers['retry-after'])).toBeLessThanOrEqual(60);
+  });
+
+  it('should drop connections', async () => {
+    createServer({ dropRate: 1 });
+    await expect(request(app).get('/orders')).rejects.toThrow(/socket hang up|ECONNRESET/);
+  });
+
+  it('should leave requests unanswered', async () => {
+    createServer({ timeoutRate: 1 });
+    await expect(request(app).get('/orders').timeout(200)).rejects.toThrow(/Timeout/);
+  });
+
+  describe('Request headers', () => {
+    beforeEach(() => {
+      createServer();
+    });
+
+    it('should honor X-Mock-Status and X-Mock-Delay', async () => {
+      await request(app).get('/orders').set('X-Mock-Status', '404').expect(404);
+
+      const startTime = Date.now();
+      await request(app).get('/orders').set('X-Mock-Delay', '100').expect(200);
+      expect(Date.now() - startTime).toBeGreaterThanOrEqual(95);
+    });
+
+    it('should honor X-Mock-Drop and X-Mock-Timeout', async () => {
+      await expect(request(app).get('/orders').set('X-Mock-Drop', 'true')).rejects.toThrow(/socket hang up|ECONNRESET/);
+      await expect(request(app).get('/orders').set('X-Mock-Timeout', 'true').timeout(200)).rejects.toThrow(/Timeout/);
+    });
+
+    it('should reject invalid values', async () => {
+      await request(app).get('/orders').set('X-Mock-Status', '200').expect(400);
+      await request(app).get('/orders').set('X-Mock-Delay', 'soon').expect(400);
+    });
+
+    it('should be ignored when disabled', async () => {
+      await server.stop();
+      createServer({ headers: false });
+      await request(app).get('/orders').set('X-Mock-Status', '500').expect(200);
+    });
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => createServer({ failureRate: 2 })).toThrow(/failureRate/);
+    expect(() => createServer({ routes: { '/orders': { delay: 'later' } } })).toThrow(/\/orders/);
+    server = new GenericRestServer({ port: 0, storage: 'memory' });
+  });
+});
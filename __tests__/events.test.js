@@ -0,0 +1,238 @@
+const request = require('supertest');
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const WebSocket = require('ws');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-events');
+
+// Resolve with the first event emitted by `server` that matches `predicate`
+function waitForEvent(server, predicate = () => true, timeout = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      server.off('change', listener);
+      reject(new Error('Evento não recebido'));
+    }, timeout);
+    const listener = event => {
+      if (predicate(event)) {
+        clearTimeout(timer);
+        server.off('change', listener);
+        resolve(event);
+      }
+    };
+    server.on('change', listener);
+  });
+}
+
+describe('Change events', () => {
+  let server;
+  let app;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH });
+    app = server.getApp();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  describe('EventEmitter API', () => {
+    it('should emit create, update and delete events', async () => {
+      const events = [];
+      server.on('change', event => events.push(event));
+      const created = [];
+      server.on('create', event => created.push(event));
+
+      const response = await request(app).post('/orders').send({ total: 10 }).expect(201);
+      const { id } = response.body;
+      await request(app).patch(`/orders/${id}`).send({ total: 20 }).expect(200);
+      await request(app).delete(`/orders/${id}`).expect(200);
+
+      expect(events.map(event => event.type)).toEqual(['create', 'update', 'delete']);
+      expect(events[0]).toMatchObject({ collection: 'orders', id, source: 'api', data: { total: 10 } });
+      expect(events[1].data.total).toBe(20);
+      expect(events[2].data).toBeNull();
+      expect(events[0].timestamp).toBeDefined();
+      expect(created).toHaveLength(1);
+    });
+
+    it('should report restores and purges from the point of view of listings', async () => {
+      await server.stop();
+      server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, softDelete: true });
+      app = server.getApp();
+
+      const events = [];
+      server.on('change', event => events.push(event));
+
+      const response = await request(app).post('/orders').send({ total: 10 }).expect(201);
+      const { id } = response.body;
+      await request(app).delete(`/orders/${id}`).expect(200);
+      await request(app).post(`/orders/${id}/_restore`).expect(200);
+      await request(app).delete(`/orders/${id}?_purge=true`).expect(200);
+
+      expect(events.map(event => [event.type, event.action])).toEqual([
+        ['create', 'create'],
+        ['delete', 'delete'],
+        ['create', 'restore'],
+        ['delete', 'purge']
+      ]);
+    });
+  });
+
+  describe('Feeds', () => {
+    let baseUrl;
+
+    beforeEach(async () => {
+      await server.start();
+      baseUrl = `http://localhost:${server.server.address().port}`;
+    });
+
+    it('should stream matching events over Server-Sent Events', async () => {
+      const received = new Promise((resolve, reject) => {
+        http.get(`${baseUrl}/_events?collection=orders&type=create`, res => {
+          expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            buffer += chunk;
+            if (buffer.includes(': conectado')) {
+              // Only the order creation matches the filters
+              request(baseUrl).post('/users').send({ name: 'Ana' }).then(() => {
+                return request(baseUrl).post('/orders').send({ total: 10 });
+              }).catch(reject);
+              buffer = buffer.replace(': conectado\n\n', '');
+            }
+            if (buffer.includes('\n\n')) {
+              res.destroy();
+              resolve(buffer);
+            }
+          });
+        }).on('error', reject);
+      });
+
+      const message = await received;
+      expect(message).toMatch(/^event: create\ndata: /);
+      const event = JSON.parse(message.split('data: ')[1]);
+      expect(event).toMatchObject({ type: 'create', collection: 'orders', data: { total: 10 } });
+    });
+
+    it('should send matching events to WebSocket clients', async () => {
+      const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/_events?collection=products`);
+      await new Promise((resolve, reject) => {
+        socket.on('open', resolve);
+        socket.on('error', reject);
+      });
+
+      const message = new Promise(resolve => socket.on('message', data => resolve(JSON.parse(data))));
+      await request(baseUrl).post('/orders').send({ total: 10 }).expect(201);
+      await request(baseUrl).post('/products/books').send({ title: 'Dune' }).expect(201);
+
+      const event = await message;
+      expect(event).toMatchObject({ type: 'create', collection: 'products/books', data: { title: 'Dune' } });
+      socket.close();
+    });
+
+    it('should reject WebSocket connections to other paths', async () => {
+      const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/orders`);
+      await expect(new Promise((resolve, reject) => {
+        socket.on('open', resolve);
+        socket.on('error', reject);
+      })).rejects.toThrow();
+    });
+  });
+
+  describe('Files edited by hand', () => {
+    it('should report records created, changed and removed in dbPath', async () => {
+      await request(app).post('/orders').send({ total: 1 }).expect(201);
+      await server.start();
+
+      const id = '550e8400-e29b-41d4-a716-446655440000';
+      const filePath = path.join(TEST_DB_PATH, 'orders', `${id}.json`);
+
+      let event = waitForEvent(server, change => change.id === id);
+      await fs.writeFile(filePath, JSON.stringify({ id, total: 5 }));
+      expect(await event).toMatchObject({ type: 'create', collection: 'orders', source: 'file', data: { total: 5 } });
+
+      event = waitForEvent(server, change => change.id === id);
+      await fs.writeFile(filePath, JSON.stringify({ id, total: 7 }));
+      expect(await event).toMatchObject({ type: 'update', data: { total: 7 } });
+
+      event = waitForEvent(server, change => change.id === id);
+      await fs.unlink(filePath);
+      expect(await event).toMatchObject({ type: 'delete', data: null });
+
+      // Changes made by hand are part of the history too
+      const history = await request(app).get(`/orders/${id}/_history`).expect(200);
+      expect(history.body.map(revision => revision.action)).toEqual(['delete', 'update', 'create']);
+    });
+
+    it('should report records in collections created by hand', async () => {
+      await server.start();
+
+      const id = '550e8400-e29b-41d4-a716-446655440001';
+      const event = waitForEvent(server, change => change.id === id);
+      await fs.mkdir(path.join(TEST_DB_PATH, 'invoices'), { recursive: true });
+      await fs.writeFile(path.join(TEST_DB_PATH, 'invoices', `${id}.json`), JSON.stringify({ id, paid: false }));
+
+      expect(await event).toMatchObject({ type: 'create', collection: 'invoices', source: 'file' });
+    });
+
+    it('should not report changes made through the API as file edits', async () => {
+      await server.start();
+      const events = [];
+      server.on('change', event => events.push(event));
+
+      const response = await request(app).post('/orders').send({ total: 1 }).expect(201);
+      await request(app).patch(`/orders/${response.body.id}`).send({ total: 2 }).expect(200);
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      expect(events.map(event => event.source)).toEqual(['api', 'api']);
+    });
+
+    it('should report edits to db.json with the json storage', async () => {
+      await server.stop();
+      server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, storage: 'json' });
+      app = server.getApp();
+      await server.start();
+
+      const response = await request(app).post('/orders').send({ total: 1 }).expect(201);
+      const db = JSON.parse(await fs.readFile(path.join(TEST_DB_PATH, 'db.json'), 'utf8'));
+      db.orders[0].total = 99;
+      db.users = [{ id: 'u1', name: 'Ana' }];
+
+      const events = [];
+      const done = new Promise(resolve => server.on('change', event => {
+        events.push(event);
+        if (events.length === 2) resolve();
+      }));
+      await fs.writeFile(path.join(TEST_DB_PATH, 'db.json'), JSON.stringify(db));
+      await done;
+
+      expect(events).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'update', collection: 'orders', id: response.body.id, source: 'file' }),
+        expect.objectContaining({ type: 'create', collection: 'users', id: 'u1', source: 'file' })
+      ]));
+    });
+
+    it('should not watch files when disabled', async () => {
+      await server.stop();
+      server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, watch: false });
+      await server.start();
+
+      const event = waitForEvent(server, () => true, 300).catch(() => null);
+      await fs.mkdir(path.join(TEST_DB_PATH, 'orders'), { recursive: true });
+      await fs.writeFile(path.join(TEST_DB_PATH, 'orders', 'manual.json'), JSON.stringify({ id: 'manual' }));
+
+      expect(await event).toBeNull();
+    });
+  });
+});
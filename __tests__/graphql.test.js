@@ -0,0 +1,192 @@
+const request = require('supertest');
+const { GenericRestServer } = require('../src/index');
+
+describe('GraphQL endpoint', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, storage: 'memory', graphql: true, ...options });
+    app = server.getApp();
+  };
+
+  const graphql = (query, variables, status = 200) => {
+    return request(app).post('/graphql').send({ query, variables }).expect(status);
+  };
+
+  beforeEach(() => {
+    createServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should query collections with the REST filters, sorting and pagination', async () => {
+    await request(app)
+      .post('/products/books')
+      .send([
+        { title: 'Dune', price: 30, tags: ['sci-fi'], author: { name: 'Frank Herbert' } },
+        { title: 'Emma', price: 12, tags: ['classic'], author: { name: 'Jane Austen' } },
+        { title: 'Ubik', price: 18, tags: ['sci-fi'], author: { name: 'Philip K. Dick' } }
+      ])
+      .expect(201);
+
+    const response = await graphql(`{
+      productsBooks(filter: { price_gte: 15 }, sort: "price", order: "desc", limit: 2) {
+        id title price tags author { name }
+      }
+    }`);
+    expect(response.body.errors).toBeUndefined();
+    expect(response.body.data.productsBooks).toMatchObject([
+      { title: 'Dune', price: 30, tags: ['sci-fi'], author: { name: 'Frank Herbert' } },
+      { title: 'Ubik', price: 18 }
+    ]);
+
+    const searched = await graphql('{ productsBooks(q: "austen", where: { price: { lt: 20 } }) { title } }');
+    expect(searched.body.data.productsBooks).toEqual([{ title: 'Emma' }]);
+
+    const paged = await graphql('{ productsBooks(sort: "title", page: 2, perPage: 2) { title } }');
+    expect(paged.body.data.productsBooks).toEqual([{ title: 'Ubik' }]);
+
+    const { id } = response.body.data.productsBooks[0];
+    const item = await graphql('query Book($id: ID!) { productsBook(id: $id) { title createdAt } }', { id });
+    expect(item.body.data.productsBook.title).toBe('Dune');
+    expect(item.body.data.productsBook.createdAt).toBeDefined();
+
+    const missing = await graphql('{ productsBook(id: "missing") { title } }');
+    expect(missing.body.data.productsBook).toBeNull();
+  });
+
+  it('should create, update and delete through the REST persistence', async () => {
+    const events = [];
+    server.on('change', event => events.push(event.type));
+    await request(app).post('/posts').send({ title: 'Seed', views: 0 }).expect(201);
+
+    const created = await graphql(
+      'mutation Create($data: PostInput!) { createPost(data: $data) { id title views createdAt updatedAt } }',
+      { data: { title: 'From GraphQL', views: 1 } }
+    );
+    const post = created.body.data.createPost;
+    expect(post).toMatchObject({ title: 'From GraphQL', views: 1, updatedAt: null });
+    expect(post.createdAt).toBeDefined();
+
+    const updated = await graphql(`mutation { updatePost(id: "${post.id}", data: { views: 2 }) { title views updatedAt } }`);
+    expect(updated.body.data.updatePost).toMatchObject({ title: 'From GraphQL', views: 2 });
+    expect(updated.body.data.updatePost.updatedAt).toBeDefined();
+
+    const rest = await request(app).get(`/posts/${post.id}`).expect(200);
+    expect(rest.body).toMatchObject({ title: 'From GraphQL', views: 2 });
+    const history = await request(app).get(`/posts/${post.id}/_history`).expect(200);
+    expect(history.body.map(revision => revision.action)).toEqual(['update', 'create']);
+
+    const deleted = await graphql(`mutation { deletePost(id: "${post.id}") { title } }`);
+    expect(deleted.body.data.deletePost).toEqual({ title: 'From GraphQL' });
+    await request(app).get(`/posts/${post.id}`).expect(404);
+
+    expect(events).toEqual(['create', 'create', 'update', 'delete']);
+  });
+
+  it('should refresh the types when collections appear or change', async () => {
+    const before = await graphql('{ comments { body } }', undefined, 400);
+    expect(before.body.errors[0].message).toMatch(/comments/);
+
+    await request(app).post('/comments').send({ body: 'First' }).expect(201);
+    const after = await graphql('{ comments { body } }');
+    expect(after.body.data.comments).toEqual([{ body: 'First' }]);
+
+    await graphql('{ comments { likes } }', undefined, 400);
+    await request(app).post('/comments').send({ body: 'Second', likes: 3 }).expect(201);
+    const changed = await graphql('{ comments(filter: { likes_gt: 0 }) { body likes } }');
+    expect(changed.body.data.comments).toEqual([{ body: 'Second', likes: 3 }]);
+  });
+
+  it('should not limit integers to 32 bits', async () => {
+    await request(app).post('/events').send({ ts: 1700000000000 }).expect(201);
+    const big = await graphql('{ events { ts } }');
+    expect(big.body.errors).toBeUndefined();
+    expect(big.body.data.events).toEqual([{ ts: 1700000000000 }]);
+
+    // Inferred from a sample: later records may hold decimals
+    await request(app).post('/events').send({ ts: 3.5 }).expect(201);
+    const mixed = await graphql('{ events(sort: "ts") { ts } }');
+    expect(mixed.body.errors).toBeUndefined();
+    expect(mixed.body.data.events).toEqual([{ ts: 3.5 }, { ts: 1700000000000 }]);
+  });
+
+  it('should report errors with their status', async () => {
+    await server.stop();
+    createServer({
+      schemas: {
+        users: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 2 } } }
+      }
+    });
+
+    const invalid = await graphql('mutation { createUser(data: { name: "A" }) { id } }');
+    expect(invalid.body.data).toBeNull();
+    expect(invalid.body.errors[0].extensions).toMatchObject({ code: 'VALIDATION_FAILED', status: 422 });
+    expect(invalid.body.errors[0].extensions.errors[0].field).toBe('name');
+
+    const missing = await graphql('mutation { updateUser(id: "missing", data: { name: "Ana" }) { id } }');
+    expect(missing.body.errors[0]).toMatchObject({ message: 'Item não encontrado', extensions: { code: 'NOT_FOUND' } });
+
+    await graphql('mutation { createUser(data: { name: "Ana" }) { id } }');
+    const badFilter = await graphql('{ users(where: { name: { between: 1 } }) { id } }');
+    expect(badFilter.body.errors[0].extensions.code).toBe('BAD_REQUEST');
+
+    await graphql('{ users { ', undefined, 400);
+    await request(app).post('/graphql').send({}).expect(400);
+  });
+
+  it('should accept queries over GET but not mutations', async () => {
+    await request(app).post('/posts').send({ title: 'First' }).expect(201);
+
+    const response = await request(app).get('/graphql').query({ query: '{ posts { title } }' }).expect(200);
+    expect(response.body.data.posts).toEqual([{ title: 'First' }]);
+
+    await request(app)
+      .get('/graphql')
+      .query({ query: 'mutation { createPost(data: { title: "Nope" }) { id } }' })
+      .expect(405);
+    await request(app).delete('/graphql').expect(405);
+  });
+
+  it('should apply the access rules of the collections', async () => {
+    await server.stop();
+    createServer({
+      auth: { secret: 'test-secret', rules: { posts: { read: 'public', write: 'authenticated' }, notes: 'owner' } },
+      schemas: { posts: { type: 'object', properties: { title: { type: 'string' } } } }
+    });
+    const register = async email => {
+      const response = await request(app).post('/_auth/register').send({ email, password: 'secret123' }).expect(201);
+      return response.body;
+    };
+    const graphqlAs = (session, query) => {
+      return request(app).post('/graphql').set('Authorization', `Bearer ${session.accessToken}`).send({ query }).expect(200);
+    };
+
+    const denied = await graphql('mutation { createPost(data: { title: "Anonymous" }) { id } }');
+    expect(denied.body.errors[0].extensions).toMatchObject({ code: 'UNAUTHENTICATED', status: 401 });
+
+    const ana = await register('ana@example.com');
+    const bia = await register('bia@example.com');
+    const created = await graphqlAs(ana, 'mutation { createPost(data: { title: "Signed in" }) { id title } }');
+    const post = await request(app).get(`/posts/${created.body.data.createPost.id}`).expect(200);
+    expect(post.body).toMatchObject({ title: 'Signed in', ownerId: ana.user.id });
+
+    // Owner collections only show the caller's own records
+    await request(app).post('/notes').set('Authorization', `Bearer ${ana.accessToken}`).send({ text: 'Ana' }).expect(201);
+    await request(app).post('/notes').set('Authorization', `Bearer ${bia.accessToken}`).send({ text: 'Bia' }).expect(201);
+    const notes = await graphqlAs(bia, '{ notes { text } }');
+    expect(notes.body.data.notes).toEqual([{ text: 'Bia' }]);
+  });
+
+  it('should be off by default', async () => {
+    await server.stop();
+    server = new GenericRestServer({ port: 0, storage: 'memory' });
+    app = server.getApp();
+
+    // Without the option /graphql is a plain collection
+    await request(app).get('/graphql').expect(200, []);
+  });
+});
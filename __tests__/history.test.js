@@ -0,0 +1,199 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-history');
+
+describe('Revision history', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, ...options });
+    app = server.getApp();
+  };
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    createServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  const createUser = async (data) => {
+    const response = await request(app).post('/users').send(data).expect(201);
+    return response.body;
+  };
+
+  it('should keep a revision for every mutation, newest first', async () => {
+    const user = await createUser({ name: 'Ana', role: 'user' });
+    await request(app).patch(`/users/${user.id}`).send({ role: 'admin' }).expect(200);
+    await request(app)
+      .put(`/users/${user.id}`)
+      .set('User-Agent', 'broken-client/1.0')
+      .send({ name: 'Ana Maria' })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/users/${user.id}/_history`)
+      .expect(200);
+
+    expect(response.body.map(revision => revision.rev)).toEqual([3, 2, 1]);
+    expect(response.body.map(revision => revision.action)).toEqual(['update', 'update', 'create']);
+    expect(response.body[1].data.role).toBe('admin');
+    expect(response.body[0].data).not.toHaveProperty('role');
+    expect(response.body[0].request).toMatchObject({
+      method: 'PUT',
+      path: `/users/${user.id}`,
+      userAgent: 'broken-client/1.0'
+    });
+    expect(response.body[0].timestamp).toBeDefined();
+  });
+
+  it('should get a single revision', async () => {
+    const user = await createUser({ name: 'Ana' });
+    await request(app).patch(`/users/${user.id}`).send({ name: 'Bia' }).expect(200);
+
+    const response = await request(app)
+      .get(`/users/${user.id}/_history/1`)
+      .expect(200);
+    expect(response.body.rev).toBe(1);
+    expect(response.body.data.name).toBe('Ana');
+
+    await request(app).get(`/users/${user.id}/_history/9`).expect(404);
+    await request(app).get('/users/550e8400-e29b-41d4-a716-446655440000/_history').expect(404);
+  });
+
+  it('should roll back to a previous revision', async () => {
+    const user = await createUser({ name: 'Ana', role: 'user' });
+    await request(app).put(`/users/${user.id}`).send({ name: 'Corrupted' }).expect(200);
+
+    const response = await request(app)
+      .post(`/users/${user.id}/_history/1/_rollback`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ id: user.id, name: 'Ana', role: 'user', createdAt: user.createdAt });
+    expect(response.body.updatedAt).toBeDefined();
+    expect(response.headers.etag).toBeDefined();
+
+    const getResponse = await request(app).get(`/users/${user.id}`).expect(200);
+    expect(getResponse.body.name).toBe('Ana');
+
+    const historyResponse = await request(app).get(`/users/${user.id}/_history`).expect(200);
+    expect(historyResponse.body[0].action).toBe('rollback');
+
+    await request(app).post(`/users/${user.id}/_history/42/_rollback`).expect(404);
+    await request(app)
+      .post(`/users/${user.id}/_history/1/_rollback`)
+      .set('If-Match', '"stale"')
+      .expect(412);
+  });
+
+  it('should recreate a deleted item on rollback', async () => {
+    const user = await createUser({ name: 'Ana' });
+    await request(app).delete(`/users/${user.id}`).expect(200);
+    await request(app).get(`/users/${user.id}`).expect(404);
+
+    const historyResponse = await request(app).get(`/users/${user.id}/_history`).expect(200);
+    expect(historyResponse.body[0]).toMatchObject({ rev: 2, action: 'delete', data: null });
+
+    await request(app).post(`/users/${user.id}/_history/2/_rollback`).expect(409);
+    await request(app).post(`/users/${user.id}/_history/1/_rollback`).expect(200);
+
+    const getResponse = await request(app).get(`/users/${user.id}`).expect(200);
+    expect(getResponse.body.name).toBe('Ana');
+  });
+
+  it('should only keep the configured number of revisions', async () => {
+    createServer({ historyLimit: 2 });
+    const user = await createUser({ count: 0 });
+    for (let count = 1; count <= 3; count++) {
+      await request(app).patch(`/users/${user.id}`).send({ count }).expect(200);
+    }
+
+    const response = await request(app).get(`/users/${user.id}/_history`).expect(200);
+    expect(response.body.map(revision => revision.rev)).toEqual([4, 3]);
+    expect(response.body.map(revision => revision.data.count)).toEqual([3, 2]);
+  });
+
+  it('should not keep any revision when the history is disabled', async () => {
+    createServer({ historyLimit: 0 });
+    const user = await createUser({ name: 'Ana' });
+
+    const response = await request(app).get(`/users/${user.id}/_history`).expect(200);
+    expect(response.body).toEqual([]);
+    await expect(fs.access(path.join(TEST_DB_PATH, '_history'))).rejects.toThrow();
+  });
+
+  it('should drop the history of purged items', async () => {
+    createServer({ softDelete: true });
+    const user = await createUser({ name: 'Ana' });
+    await request(app).delete(`/users/${user.id}`).expect(200);
+
+    const historyResponse = await request(app).get(`/users/${user.id}/_history`).expect(200);
+    expect(historyResponse.body[0].action).toBe('delete');
+    expect(historyResponse.body[0].data.deletedAt).toBeDefined();
+
+    await request(app).delete(`/users/${user.id}?_purge=true`).expect(200);
+    await request(app).get(`/users/${user.id}/_history`).expect(404);
+  });
+
+  it('should not lose revisions of concurrent mutations', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(n => server.history.record('users', 'same', 'update', { n })));
+
+    const revisions = await server.history.list('users', 'same');
+    expect(revisions.map(revision => revision.rev)).toEqual([5, 4, 3, 2, 1]);
+    expect(revisions.map(revision => revision.data.n)).toEqual([5, 4, 3, 2, 1]);
+  });
+
+  it('should keep the history out of the collections', async () => {
+    const user = await createUser({ name: 'Ana' });
+
+    expect(await server.storage.listCollections()).toEqual(['users']);
+    await request(app).get('/_history/users').expect(404);
+    await request(app).get(`/_history/users/${user.id}`).expect(404);
+  });
+
+  it('should still serve other names starting with an underscore', async () => {
+    const draft = await request(app).post('/_drafts').send({ title: 'Draft' }).expect(201);
+    await request(app).get(`/_drafts/${draft.body.id}`).expect(200);
+    await request(app).patch(`/_drafts/${draft.body.id}`).send({ title: 'Edited' }).expect(200);
+    const history = await request(app).get(`/_drafts/${draft.body.id}/_history`).expect(200);
+    expect(history.body).toHaveLength(2);
+
+    await fs.mkdir(path.join(TEST_DB_PATH, 'users'), { recursive: true });
+    await fs.writeFile(path.join(TEST_DB_PATH, 'users', '_tmp.json'), JSON.stringify({ id: '_tmp', name: 'Temp' }));
+    await request(app).get('/users/_tmp.json').expect(200);
+    await request(app).patch('/users/_tmp').send({ name: 'Kept' }).expect(200);
+    const users = await request(app).get('/users').expect(200);
+    expect(users.body.map(user => user.name)).toEqual(['Kept']);
+
+    expect(await server.storage.listCollections()).toEqual(['_drafts', 'users']);
+    await request(app).get('/_auth/credentials').expect(404);
+    await request(app).get('/_snapshots').expect(404);
+
+    const batch = await request(app)
+      .post('/_batch')
+      .send([{ method: 'POST', path: '/_history/users', body: { id: 'forged' } }])
+      .expect(200);
+    expect(batch.body.results[0].status).toBe(404);
+  });
+
+  it('should keep db.json in the json-server layout', async () => {
+    createServer({ storage: 'json' });
+    await createUser({ name: 'Ana' });
+
+    const db = JSON.parse(await fs.readFile(path.join(TEST_DB_PATH, 'db.json'), 'utf8'));
+    expect(Object.keys(db)).toEqual(['users']);
+
+    const internal = JSON.parse(await fs.readFile(path.join(TEST_DB_PATH, 'db.internal.json'), 'utf8'));
+    expect(Object.keys(internal)).toEqual(['_history/users']);
+  });
+});
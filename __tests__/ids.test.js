@@ -0,0 +1,153 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-ids');
+
+describe('ID strategies and primary keys', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, ...options });
+    app = server.getApp();
+  };
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should hand out auto-incrementing integer ids', async () => {
+    createServer({ ids: { users: 'increment' } });
+
+    const created = [];
+    for (const name of ['Ana', 'Bia', 'Caio']) {
+      created.push((await request(app).post('/users').send({ name, id: 99 }).expect(201)).body);
+    }
+    expect(created.map(user => user.id)).toEqual([1, 2, 3]);
+    await expect(fs.access(path.join(TEST_DB_PATH, 'users', '2.json'))).resolves.toBeUndefined();
+
+    const user = await request(app).get('/users/2').expect(200);
+    expect(user.body).toMatchObject({ id: 2, name: 'Bia' });
+
+    const patched = await request(app).patch('/users/2').send({ name: 'Beatriz' }).expect(200);
+    expect(patched.body).toMatchObject({ id: 2, name: 'Beatriz' });
+    const replaced = await request(app).put('/users/2').send({ name: 'Bea', id: 7 }).expect(200);
+    expect(replaced.body).toMatchObject({ id: 2, name: 'Bea' });
+
+    // Deleted ids are not handed out again
+    await request(app).delete('/users/3').expect(200);
+    await request(app).get('/users/3').expect(404);
+    const next = await request(app).post('/users').send({ name: 'Duda' }).expect(201);
+    expect(next.body.id).toBe(4);
+
+    // Nested routes, filters and other collections
+    await request(app).post('/users/1/posts').send({ title: 'Hello' }).expect(201);
+    const posts = await request(app).get('/users/1/posts').expect(200);
+    expect(posts.body).toHaveLength(1);
+    const filtered = await request(app).get('/users?id_gte=2&_sort=id').expect(200);
+    expect(filtered.body.map(item => item.id)).toEqual([2, 4]);
+    expect(posts.body[0].id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should continue the sequence after imported records', async () => {
+    createServer({ ids: 'increment', storage: 'memory' });
+    await server.importData({ posts: [{ id: 10, title: 'Imported' }] });
+
+    const created = await request(app).post('/posts').send({ title: 'New' }).expect(201);
+    expect(created.body.id).toBe(11);
+  });
+
+  it('should generate ULIDs and nanoids', async () => {
+    createServer({ ids: { events: 'ulid', orders: { strategy: 'nanoid', size: 12 } } });
+
+    const event = await request(app).post('/events').send({ type: 'login' }).expect(201);
+    expect(event.body.id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+    await request(app).get(`/events/${event.body.id}`).expect(200);
+
+    const order = await request(app).post('/orders').send({ total: 10 }).expect(201);
+    expect(order.body.id).toMatch(/^[\w-]{12}$/);
+    await request(app).patch(`/orders/${order.body.id}`).send({ total: 12 }).expect(200);
+    await request(app).delete(`/orders/${order.body.id}`).expect(200);
+
+    // Other segments are still subcollections
+    await request(app).post('/orders/archived').send({ total: 1 }).expect(201);
+    const archived = await request(app).get('/orders/archived').expect(200);
+    expect(archived.body).toHaveLength(1);
+  });
+
+  it('should take unique ids from the client', async () => {
+    createServer({ ids: { accounts: 'client' } });
+
+    const missing = await request(app).post('/accounts').send({ name: 'Ana' }).expect(422);
+    expect(missing.body.errors).toEqual([{ field: 'id', message: 'é obrigatório' }]);
+    await request(app).post('/accounts').send({ id: 'a/b', name: 'Ana' }).expect(422);
+
+    const created = await request(app).post('/accounts').send({ id: 'ana', name: 'Ana' }).expect(201);
+    expect(created.body).toMatchObject({ id: 'ana', name: 'Ana' });
+    await request(app).post('/accounts').send({ id: 'ana', name: 'Other' }).expect(409);
+    await request(app).post('/accounts').send({ id: 42, name: 'Numeric' }).expect(201);
+
+    await request(app).get('/accounts/ana').expect(200);
+    const numeric = await request(app).get('/accounts/42').expect(200);
+    expect(numeric.body.id).toBe(42);
+    const updated = await request(app).put('/accounts/ana').send({ id: 'other', name: 'Ana Maria' }).expect(200);
+    expect(updated.body).toMatchObject({ id: 'ana', name: 'Ana Maria' });
+  });
+
+  it('should use a custom primary key field', async () => {
+    for (const storage of ['file', 'memory', 'json']) {
+      createServer({ storage, primaryKey: '_id', ids: { users: 'increment' } });
+
+      const user = await request(app).post('/users').send({ name: 'Ana' }).expect(201);
+      expect(user.body).toMatchObject({ _id: 1, name: 'Ana' });
+      const post = await request(app).post('/posts').send({ title: 'Hello', userId: 1 }).expect(201);
+      expect(post.body._id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(post.body).not.toHaveProperty('id');
+
+      const list = await request(app).get('/posts?_expand=user').expect(200);
+      expect(list.body).toEqual([expect.objectContaining({ _id: post.body._id, user: expect.objectContaining({ name: 'Ana' }) })]);
+      expect(list.body[0]).not.toHaveProperty('id');
+
+      const patched = await request(app).patch(`/posts/${post.body._id}`).send({ title: 'Changed', _id: 'x' }).expect(200);
+      expect(patched.body).toMatchObject({ _id: post.body._id, title: 'Changed' });
+      const history = await request(app).get(`/posts/${post.body._id}/_history`).expect(200);
+      expect(history.body).toHaveLength(2);
+      await request(app).delete(`/users/1`).expect(200);
+
+      const exported = await server.exportData();
+      expect(exported.posts[0]).not.toHaveProperty('id');
+
+      await server.stop();
+      await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    }
+    createServer();
+  });
+
+  it('should describe ids in the OpenAPI document', async () => {
+    createServer({ storage: 'memory', ids: { users: 'increment', tags: 'client' }, primaryKey: 'key' });
+    await request(app).post('/users').send({ name: 'Ana' }).expect(201);
+    await request(app).post('/tags').send({ key: 'news' }).expect(201);
+
+    const { body: document } = await request(app).get('/_openapi.json').expect(200);
+    expect(document.components.schemas.Users.properties.key).toEqual({ type: 'integer', readOnly: true });
+    expect(document.components.schemas.Tags.properties.key).toEqual({ type: 'string' });
+    expect(document.components.schemas.Users.properties).not.toHaveProperty('id');
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => createServer({ ids: 'random' })).toThrow(/random/);
+    expect(() => createServer({ ids: { users: { strategy: 'nanoid', size: 2 } } })).toThrow(/nanoid/);
+    expect(() => createServer({ primaryKey: 'user id' })).toThrow(/primária/);
+    createServer();
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-import');
+
+// A json-server db.json
+const FIXTURE = {
+  posts: [
+    { id: 1, title: 'json-server', author: 'typicode' },
+    { id: 2, title: 'Second post' }
+  ],
+  comments: [
+    { body: 'Without an id', postId: 1 }
+  ],
+  profile: { name: 'typicode' }
+};
+
+describe('Import and export', () => {
+  let server;
+  let app;
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH });
+    app = server.getApp();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should import a json-server db.json', async () => {
+    const response = await request(app).post('/_admin/import').send(FIXTURE).expect(200);
+
+    expect(response.body).toEqual({
+      message: '3 itens importados',
+      imported: { posts: 2, comments: 1 },
+      skipped: ['profile']
+    });
+
+    // Records keep their ids, the others get one
+    const posts = await request(app).get('/posts?_sort=id').expect(200);
+    expect(posts.body.map(post => post.id)).toEqual([1, 2]);
+    const comments = await request(app).get('/comments').expect(200);
+    expect(comments.body[0]).toMatchObject({ body: 'Without an id', postId: 1 });
+    expect(comments.body[0].id).toMatch(/^[0-9a-f-]{36}$/);
+
+    // Ids other than UUIDs are reached through the record file name
+    await request(app).get('/posts/1.json').expect(200);
+    const patched = await request(app).patch('/posts/1.json').send({ title: 'Edited' }).expect(200);
+    expect(patched.body).toMatchObject({ id: 1, title: 'Edited' });
+    await expect(fs.access(path.join(TEST_DB_PATH, 'posts', '1.json'))).resolves.toBeUndefined();
+  });
+
+  it('should merge or replace existing records', async () => {
+    await request(app).post('/_admin/import').send(FIXTURE).expect(200);
+    const created = await request(app).post('/posts').send({ title: 'Created later' }).expect(201);
+
+    await request(app)
+      .post('/_admin/import')
+      .send({ posts: [{ id: 1, title: 'Changed' }] })
+      .expect(200);
+    let posts = await request(app).get('/posts').expect(200);
+    expect(posts.body).toHaveLength(3);
+    expect(posts.body.find(post => post.id === 1).title).toBe('Changed');
+
+    await request(app)
+      .post('/_admin/import?mode=replace')
+      .send({ posts: [{ id: 2, title: 'Only one' }] })
+      .expect(200);
+    posts = await request(app).get('/posts').expect(200);
+    expect(posts.body).toEqual([{ id: 2, title: 'Only one' }]);
+    await request(app).get(`/posts/${created.body.id}`).expect(404);
+
+    // Collections missing from the file are left alone
+    const comments = await request(app).get('/comments').expect(200);
+    expect(comments.body).toHaveLength(1);
+  });
+
+  it('should reject invalid files without importing anything', async () => {
+    const response = await request(app)
+      .post('/_admin/import')
+      .send({ posts: [{ id: 'ok', title: 'Fine' }, 'not an object', { id: '../escape' }] })
+      .expect(422);
+
+    expect(response.body.errors.map(error => error.field)).toEqual(['posts[1]', 'posts[2].id']);
+    expect(await server.storage.listCollections()).toEqual([]);
+
+    await request(app).post('/_admin/import').send([FIXTURE]).expect(422);
+    await request(app).post('/_admin/import?mode=append').send(FIXTURE).expect(422);
+  });
+
+  it('should reject collection names that leave the data directory', async () => {
+    const response = await request(app)
+      .post('/_admin/import')
+      .send({ '../escaped': [{ id: 'a' }], 'a/./b': [], 'a\\b': [], 'a b': [], 'posts/..': [], posts: [{ id: 'ok' }] })
+      .expect(422);
+
+    expect(response.body.errors.map(error => error.field)).toEqual(['../escaped', 'a/./b', 'a\\b', 'a b', 'posts/..']);
+    expect(await server.storage.listCollections()).toEqual([]);
+    await expect(fs.access(path.join(TEST_DB_PATH, '..', 'escaped'))).rejects.toThrow();
+
+    // The adapter refuses such paths on its own as well
+    await expect(server.storage.write('../escaped', 'a', { id: 'a' })).rejects.toThrow(/fora do diretório/);
+    await expect(server.storage.get('posts', '../../escaped')).rejects.toThrow(/fora do diretório/);
+  });
+
+  it('should give records without an id one from the collection strategy', async () => {
+    const other = new GenericRestServer({ port: 0, storage: 'memory', ids: { users: 'increment', tags: 'client' } });
+    await other.importData({ users: [{ name: 'a' }, { id: 2, name: 'b' }, { name: 'c' }] });
+
+    const users = await request(other.getApp()).get('/users?_sort=name').expect(200);
+    expect(users.body.map(user => user.id)).toEqual([1, 2, 3]);
+    const single = await request(other.getApp()).get('/users/1').expect(200);
+    expect(single.body.name).toBe('a');
+
+    // Client ids cannot be made up
+    await expect(other.importData({ tags: [{ label: 'x' }] })).rejects.toMatchObject({
+      errors: [{ field: 'tags[0].id', message: 'é obrigatório' }]
+    });
+    await other.stop();
+  });
+
+  it('should export every collection or the chosen ones', async () => {
+    await request(app).post('/_admin/import').send(FIXTURE).expect(200);
+    await request(app).post('/products/books').send({ title: 'Dune' }).expect(201);
+
+    const response = await request(app).get('/_admin/export').expect(200);
+    expect(response.headers['content-disposition']).toMatch(/db\.json/);
+    expect(Object.keys(response.body)).toEqual(['comments', 'posts', 'products/books']);
+    expect(response.body.posts).toHaveLength(2);
+
+    const chosen = await request(app).get('/_admin/export?collections=posts,_history/posts').expect(200);
+    expect(Object.keys(chosen.body)).toEqual(['posts']);
+  });
+
+  it('should round-trip through the programmatic API', async () => {
+    await server.importData(FIXTURE);
+    const exported = await server.exportData();
+
+    const other = new GenericRestServer({ port: 0, storage: 'memory' });
+    await other.importData(exported);
+    expect(await other.exportData()).toEqual(exported);
+    await other.stop();
+  });
+
+  it('should start from a db.json with the from option', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const filePath = path.join(__dirname, 'test-db-import.json');
+    await fs.writeFile(filePath, JSON.stringify(FIXTURE));
+
+    try {
+      await server.stop();
+      server = new GenericRestServer({ port: 0, storage: 'memory', from: filePath, watch: false });
+      await server.start();
+
+      const response = await request(server.getApp()).get('/posts').expect(200);
+      expect(response.body).toHaveLength(2);
+    } finally {
+      await fs.rm(filePath, { force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { GenericRestServer } = require('../src/index');
+const { inferSchema } = require('../src/openapi');
+
+describe('OpenAPI document and docs page', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, storage: 'memory', ...options });
+    app = server.getApp();
+  };
+
+  beforeEach(() => {
+    createServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should infer schemas from the stored records', async () => {
+    await request(app).post('/posts').send({ title: 'First', views: 1, tags: ['a'], author: { name: 'Ana' } }).expect(201);
+    await request(app).post('/posts').send({ title: 'Second', views: 2.5, author: { name: 'Bia', email: 'bia@example.com' } }).expect(201);
+
+    const response = await request(app).get('/_openapi.json').expect(200);
+    const document = response.body;
+
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.servers[0].url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+
+    const schema = document.components.schemas.Posts;
+    expect(schema.properties.title).toEqual({ type: 'string' });
+    expect(schema.properties.views).toEqual({ type: 'number' });
+    expect(schema.properties.tags).toEqual({ type: 'array', items: { type: 'string' } });
+    expect(schema.properties.author).toMatchObject({
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' }, email: { type: 'string' } }
+    });
+    expect(schema.properties.id).toMatchObject({ type: 'string', format: 'uuid', readOnly: true });
+    expect(schema.properties.createdAt).toMatchObject({ format: 'date-time', readOnly: true });
+    expect(schema.required).toEqual(expect.arrayContaining(['title', 'views', 'id']));
+  });
+
+  it('should describe the operations and query parameters of each collection', async () => {
+    await request(app).post('/products/books').send({ title: 'Dune', price: 10 }).expect(201);
+
+    const { body: document } = await request(app).get('/_openapi.json').expect(200);
+    const list = document.paths['/products/books'];
+    const item = document.paths['/products/books/{id}'];
+
+    expect(Object.keys(list)).toEqual(['get', 'post', 'patch', 'delete']);
+    expect(Object.keys(item)).toEqual(['parameters', 'get', 'put', 'patch', 'delete']);
+    expect(list.get.responses['200'].content['application/json'].schema.items).toEqual({
+      $ref: '#/components/schemas/ProductsBooks'
+    });
+    expect(Object.keys(item.patch.requestBody.content)).toContain('application/json-patch+json');
+
+    // Shared parameters are references, filters are inline
+    const names = list.get.parameters.map(parameter => {
+      return parameter.$ref ? document.components.parameters[parameter.$ref.split('/').pop()].name : parameter.name;
+    });
+    expect(names).toEqual(expect.arrayContaining(['_sort', '_limit', '_page', 'q', '_fields', '_expand', 'title', 'price']));
+    expect(names).not.toContain('_includeDeleted');
+
+    expect(document.paths['/_batch']).toBeDefined();
+    expect(document.paths['/_auth/login']).toBeUndefined();
+  });
+
+  it('should use declared schemas and list collections without records', async () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string', minLength: 1 }, email: { type: 'string', format: 'email' } }
+    };
+    await server.stop();
+    createServer({ schemas: { users: schema }, softDelete: true });
+
+    const { body: document } = await request(app).get('/_openapi.json').expect(200);
+    expect(document.components.schemas.Users.properties).toMatchObject(schema.properties);
+    expect(document.components.schemas.Users.required).toEqual(['name']);
+    expect(document.components.schemas.Users.properties.id.readOnly).toBe(true);
+    // The option itself is left untouched
+    expect(schema.properties.id).toBeUndefined();
+
+    const parameters = document.paths['/users'].get.parameters.map(parameter => parameter.$ref);
+    expect(parameters).toContain('#/components/parameters/includeDeleted');
+  });
+
+  it('should document authentication when it is enabled', async () => {
+    await server.stop();
+    createServer({ auth: { secret: 'test-secret' } });
+
+    const { body: document } = await request(app).get('/_openapi.json').expect(200);
+    expect(Object.keys(document.components.securitySchemes)).toEqual(['bearerAuth', 'apiKey']);
+    expect(document.paths['/_auth/login'].post.security).toEqual([]);
+  });
+
+  it('should serve the docs page and its assets', async () => {
+    await request(app).get('/_docs').expect(301).expect('Location', '/_docs/');
+
+    const page = await request(app).get('/_docs/').expect(200).expect('Content-Type', /html/);
+    expect(page.text).toContain('SwaggerUIBundle');
+    expect(page.text).toContain('"../_openapi.json"');
+
+    await request(app).get('/_docs/swagger-ui.css').expect(200).expect('Content-Type', /css/);
+    await request(app).get('/_docs/swagger-ui-bundle.js').expect(200);
+    await request(app).get('/_docs/missing.js').expect(404);
+  });
+
+  it('should merge the types seen in each field', () => {
+    expect(inferSchema([1, 'a', null])).toEqual({ type: ['integer', 'null', 'string'] });
+    expect(inferSchema(['2024-01-01T00:00:00.000Z'])).toEqual({ type: 'string', format: 'date-time' });
+    expect(inferSchema([[{ a: 1 }, { a: 2, b: true }]]).items).toEqual({
+      type: 'object',
+      properties: { a: { type: 'integer' }, b: { type: 'boolean' } },
+      required: ['a']
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-routes');
+const ROUTES_DIR = path.join(TEST_DB_PATH, 'config');
+
+describe('Custom routes', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, storage: 'memory', ...options });
+    app = server.getApp();
+  };
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should rewrite URLs onto the collections', async () => {
+    createServer({
+      routes: {
+        '/api/v1/users/:id/profile': '/users/:id?_embed=posts&_fields=id,name,posts',
+        '/api/v1/*': '/$1'
+      }
+    });
+
+    const user = await request(app).post('/api/v1/users').send({ name: 'Ana' }).expect(201);
+    await request(app).post(`/api/v1/users/${user.body.id}/posts`).send({ title: 'Hello' }).expect(201);
+
+    const list = await request(app).get('/api/v1/users?name=Ana').expect(200);
+    expect(list.body).toHaveLength(1);
+    await request(app).patch(`/api/v1/users/${user.body.id}`).send({ age: 30 }).expect(200);
+
+    const profile = await request(app).get(`/api/v1/users/${user.body.id}/profile`).expect(200);
+    expect(profile.body).toEqual({ id: user.body.id, name: 'Ana', posts: [expect.objectContaining({ title: 'Hello' })] });
+
+    // The query of the request wins over the one of the rule
+    const names = await request(app).get(`/api/v1/users/${user.body.id}/profile?_fields=name`).expect(200);
+    expect(names.body.name).toBe('Ana');
+    expect(names.body).not.toHaveProperty('id');
+  });
+
+  it('should serve static responses', async () => {
+    createServer({
+      routes: {
+        'GET /api/health': { body: { status: 'ok' }, headers: { 'Cache-Control': 'no-store' } },
+        'POST /api/reports': { status: 202 },
+        '/api/maintenance': { status: 503, body: { error: 'Em manutenção' } }
+      }
+    });
+
+    const health = await request(app).get('/api/health').expect(200);
+    expect(health.body).toEqual({ status: 'ok' });
+    expect(health.headers['cache-control']).toBe('no-store');
+    await request(app).get('/api/health/').expect(200);
+    await request(app).head('/api/health').expect(200);
+    await request(app).post('/api/health').send({}).expect(201);
+
+    await request(app).post('/api/reports').send({}).expect(202);
+    await request(app).delete('/api/maintenance').expect(503);
+  });
+
+  it('should render templates with the request', async () => {
+    createServer({
+      routes: {
+        'POST /api/orgs/:org/login': {
+          status: 201,
+          body: {
+            token: '{{uuid}}',
+            org: '{{params.org}}',
+            user: { name: '{{body.username}}', remember: '{{body.remember}}' },
+            greeting: 'Olá, {{body.username}}{{body.missing}}! Página {{query.page}}',
+            agent: '{{headers.x-client}}',
+            missing: '{{body.nothing}}',
+            hidden: '{{body.constructor}}'
+          },
+          headers: { 'X-Org': '{{params.org}}' }
+        }
+      }
+    });
+
+    const response = await request(app)
+      .post('/api/orgs/acme%20inc/login?page=2')
+      .set('X-Client', 'mobile')
+      .send({ username: 'ana', remember: true })
+      .expect(201);
+
+    expect(response.headers['x-org']).toBe('acme inc');
+    expect(response.body).toEqual({
+      token: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      org: 'acme inc',
+      user: { name: 'ana', remember: true },
+      greeting: 'Olá, ana! Página 2',
+      agent: 'mobile',
+      missing: null,
+      hidden: null
+    });
+  });
+
+  it('should load routes and response files from disk', async () => {
+    await fs.mkdir(path.join(ROUTES_DIR, 'responses'), { recursive: true });
+    await fs.writeFile(path.join(ROUTES_DIR, 'responses', 'config.json'), JSON.stringify({ theme: 'dark', path: '{{path}}' }));
+    await fs.writeFile(path.join(ROUTES_DIR, 'responses', 'robots.txt'), 'User-agent: *\n');
+    await fs.writeFile(path.join(ROUTES_DIR, 'routes.json'), JSON.stringify({
+      'GET /api/config': { file: 'responses/config.json' },
+      'GET /robots.txt': { file: 'responses/robots.txt' },
+      'GET /api/broken': { file: 'responses/missing.json' }
+    }));
+    createServer({ routesFile: path.join(ROUTES_DIR, 'routes.json') });
+
+    const config = await request(app).get('/api/config').expect(200);
+    expect(config.body).toEqual({ theme: 'dark', path: '/api/config' });
+    const robots = await request(app).get('/robots.txt').expect(200);
+    expect(robots.text).toBe('User-agent: *\n');
+    expect(robots.headers['content-type']).toMatch(/text\/plain/);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await request(app).get('/api/broken').expect(500);
+    console.error.mockRestore();
+
+    // Other paths still reach the collections
+    await request(app).get('/users').expect(200);
+  });
+
+  it('should reject invalid routes', async () => {
+    expect(() => createServer({ routes: { '/api/*': 'users' } })).toThrow(/\/api\/\*/);
+    expect(() => createServer({ routes: { 'GET /a': { status: 99 } } })).toThrow(/status/);
+    expect(() => createServer({ routes: { 'GET /a': { body: {}, file: 'a.json' } } })).toThrow(/body ou file/);
+    expect(() => createServer({ routes: { 'GET /a': { bdy: {} } } })).toThrow(/bdy/);
+
+    await fs.mkdir(ROUTES_DIR, { recursive: true });
+    await fs.writeFile(path.join(ROUTES_DIR, 'routes.json'), '{ broken');
+    createServer({ routesFile: path.join(ROUTES_DIR, 'routes.json') });
+    await expect(server.routes.load()).rejects.toThrow(/Arquivo de rotas inválido/);
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-schema');
+
+const userSchema = {
+  type: 'object',
+  required: ['name', 'email'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 2 },
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer', minimum: 0 },
+    role: { type: 'string', enum: ['admin', 'user'], default: 'user' },
+    score: { type: 'number', readOnly: true, default: 0 },
+    address: {
+      type: 'object',
+      properties: {
+        city: { type: 'string' },
+        country: { type: 'string', default: 'PT' }
+      }
+    },
+    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+  }
+};
+
+describe('Schema validation', () => {
+  let app;
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    await fs.mkdir(path.join(TEST_DB_PATH, 'users'), { recursive: true });
+    await fs.writeFile(
+      path.join(TEST_DB_PATH, 'users', '_schema.json'),
+      JSON.stringify(userSchema, null, 2)
+    );
+
+    const server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH });
+    app = server.getApp();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should apply defaults and ignore readOnly fields on create', async () => {
+    const response = await request(app)
+      .post('/users')
+      .send({ name: 'John', email: 'john@example.com', score: 99, address: { city: 'Lisbon' } })
+      .expect(201);
+
+    expect(response.body.role).toBe('user');
+    expect(response.body.score).toBe(0);
+    expect(response.body.address).toEqual({ city: 'Lisbon', country: 'PT' });
+    expect(response.body).toHaveProperty('id');
+    expect(response.body).toHaveProperty('createdAt');
+  });
+
+  it('should return 422 with per-field errors', async () => {
+    const response = await request(app)
+      .post('/users')
+      .send({ name: 'J', email: 'not-an-email', age: 1.5, nmae: 'typo', tags: ['a', 'a'] })
+      .expect(422);
+
+    const fields = response.body.errors.map(error => error.field).sort();
+    expect(fields).toEqual(['age', 'email', 'name', 'nmae', 'tags']);
+    response.body.errors.forEach(error => expect(error.message).toEqual(expect.any(String)));
+
+    const list = await request(app).get('/users').expect(200);
+    expect(list.body).toEqual([]);
+  });
+
+  it('should report missing required fields and nested paths', async () => {
+    const response = await request(app)
+      .post('/users')
+      .send({ name: 'John', address: { city: 42 } })
+      .expect(422);
+
+    expect(response.body.errors).toEqual(expect.arrayContaining([
+      { field: 'email', message: expect.any(String) },
+      { field: 'address.city', message: expect.any(String) }
+    ]));
+  });
+
+  it('should validate PUT and PATCH results and protect readOnly fields', async () => {
+    const created = await request(app)
+      .post('/users')
+      .send({ name: 'John', email: 'john@example.com' })
+      .expect(201);
+    const userId = created.body.id;
+
+    await request(app)
+      .patch(`/users/${userId}`)
+      .send({ age: -1 })
+      .expect(422);
+
+    await request(app)
+      .patch(`/users/${userId}`)
+      .send({ email: null })
+      .expect(422);
+
+    await request(app)
+      .put(`/users/${userId}`)
+      .send({ name: 'John' })
+      .expect(422);
+
+    const patched = await request(app)
+      .patch(`/users/${userId}`)
+      .send({ age: 31, score: 1000 })
+      .expect(200);
+
+    expect(patched.body.age).toBe(31);
+    expect(patched.body.score).toBe(0);
+
+    const replaced = await request(app)
+      .put(`/users/${userId}`)
+      .send({ name: 'John Silva', email: 'silva@example.com', score: 5 })
+      .expect(200);
+
+    expect(replaced.body.score).toBe(0);
+    expect(replaced.body).not.toHaveProperty('age');
+  });
+
+  it('should not list the schema file as a record', async () => {
+    await request(app)
+      .post('/users')
+      .send({ name: 'John', email: 'john@example.com' })
+      .expect(201);
+
+    const response = await request(app).get('/users').expect(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].name).toBe('John');
+  });
+
+  it('should not reach the schema file as a record', async () => {
+    await request(app).get('/users/_schema.json').expect(404);
+    await request(app).get('/users/_schema').expect(404);
+    await request(app).delete('/users/_schema.json').expect(404);
+    await request(app).put('/users/_schema.json').send({ name: 'John', email: 'john@example.com' }).expect(404);
+    await request(app).patch('/users/_schema.json').send({}).expect(404);
+
+    const imported = await request(app)
+      .post('/_admin/import')
+      .send({ users: [{ id: '_schema', name: 'John', email: 'john@example.com' }] })
+      .expect(422);
+    expect(imported.body.errors).toEqual([{ field: 'users[0].id', message: 'é um id reservado' }]);
+
+    // The schema is still there and enforced
+    await request(app).post('/users').send({ name: 'J' }).expect(422);
+  });
+
+  it('should accept schemas through the constructor', async () => {
+    const server = new GenericRestServer({
+      storage: 'memory',
+      schemas: {
+        products: { type: 'object', required: ['price'], properties: { price: { type: 'number' } } }
+      }
+    });
+
+    await request(server.getApp()).post('/products').send({ name: 'Laptop' }).expect(422);
+    await request(server.getApp()).post('/products').send({ price: 10 }).expect(201);
+    await request(server.getApp()).post('/other').send({ anything: true }).expect(201);
+  });
+
+  it('should report schemas with invalid patterns', async () => {
+    expect(() => new GenericRestServer({
+      storage: 'memory',
+      schemas: { products: { properties: { code: { type: 'string', pattern: '[a-' } } } }
+    })).toThrow('Esquema inválido (products): padrão inválido em properties.code.pattern: [a-');
+
+    await fs.mkdir(path.join(TEST_DB_PATH, 'codes'), { recursive: true });
+    await fs.writeFile(
+      path.join(TEST_DB_PATH, 'codes', '_schema.json'),
+      JSON.stringify({ properties: { tags: { items: { pattern: '(' } } } })
+    );
+    const response = await request(app).post('/codes').send({ tags: ['a'] }).expect(500);
+    expect(response.body.error).toBe('Esquema inválido (codes): padrão inválido em properties.tags.items.pattern: (');
+
+    await fs.writeFile(path.join(TEST_DB_PATH, 'codes', '_schema.json'), '{ broken');
+    const broken = await request(app).post('/codes').send({ tags: ['a'] }).expect(500);
+    expect(broken.body.error).toMatch(/^Esquema inválido \(codes\): /);
+
+    await request(app).post('/users').send({ name: 'John', email: 'john@example.com' }).expect(201);
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-snapshots');
+
+describe('Snapshots and reset', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, ...options });
+    app = server.getApp();
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    createServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  const listTitles = async (collection) => {
+    const response = await request(app).get(`/${collection}?_sort=title`).expect(200);
+    return response.body.map(item => item.title);
+  };
+
+  it('should save and restore the whole database', async () => {
+    const post = (await request(app).post('/posts').send({ title: 'First' }).expect(201)).body;
+    await request(app).post('/products/books').send({ title: 'Dune' }).expect(201);
+
+    const created = await request(app).post('/_admin/snapshots').send({ name: 'baseline' }).expect(201);
+    expect(created.body).toMatchObject({ name: 'baseline', collections: { posts: 1, 'products/books': 1 } });
+    expect(created.body.createdAt).toBeDefined();
+
+    // What a test run would leave behind
+    await request(app).patch(`/posts/${post.id}`).send({ title: 'Changed' }).expect(200);
+    await request(app).post('/posts').send({ title: 'Second' }).expect(201);
+    await request(app).post('/comments').send({ title: 'Leaked' }).expect(201);
+
+    const restored = await request(app).post('/_admin/snapshots/baseline/restore').expect(200);
+    expect(restored.body.name).toBe('baseline');
+
+    expect(await listTitles('posts')).toEqual(['First']);
+    expect(await listTitles('products/books')).toEqual(['Dune']);
+    expect(await listTitles('comments')).toEqual([]);
+
+    // The history comes back too
+    const history = await request(app).get(`/posts/${post.id}/_history`).expect(200);
+    expect(history.body.map(revision => revision.action)).toEqual(['create']);
+  });
+
+  it('should list, get and delete snapshots', async () => {
+    await request(app).post('/_admin/snapshots').send({ name: 'empty' }).expect(201);
+    await request(app).post('/posts').send({ title: 'First' }).expect(201);
+    await request(app).post('/_admin/snapshots').send({ name: 'one-post' }).expect(201);
+
+    const list = await request(app).get('/_admin/snapshots').expect(200);
+    expect(list.body.map(snapshot => snapshot.name)).toEqual(['empty', 'one-post']);
+    expect(list.body[1].collections).toEqual({ posts: 1 });
+
+    await request(app).get('/_admin/snapshots/one-post').expect(200);
+    await request(app).delete('/_admin/snapshots/one-post').expect(200);
+    await request(app).get('/_admin/snapshots/one-post').expect(404);
+    await request(app).post('/_admin/snapshots/one-post/restore').expect(404);
+
+    // Snapshots are not collections
+    expect(await server.storage.listCollections()).toEqual(['posts']);
+  });
+
+  it('should not expose snapshots or history through relations', async () => {
+    await request(app).post('/_admin/snapshots').send({ name: 'snap' }).expect(201);
+    const post = (await request(app).post('/posts').send({ title: 'First', _snapshotId: 'snap' }).expect(201)).body;
+
+    const expanded = await request(app).get('/posts?_expand=_snapshot').expect(200);
+    expect(expanded.body[0]._snapshot).toBeUndefined();
+
+    const single = await request(app).get(`/posts/${post.id}?_expand=_snapshot&_embed=_history`).expect(200);
+    expect(single.body._snapshot).toBeUndefined();
+    expect(single.body._history).toBeUndefined();
+  });
+
+  it('should validate snapshot names', async () => {
+    await request(app).post('/_admin/snapshots').send({}).expect(422);
+    await request(app).post('/_admin/snapshots').send({ name: '../outside' }).expect(422);
+  });
+
+  it('should reset to an empty database', async () => {
+    await request(app).post('/posts').send({ title: 'First' }).expect(201);
+    await request(app).post('/_admin/snapshots').send({ name: 'baseline' }).expect(201);
+
+    await request(app).post('/_admin/reset').expect(200);
+
+    expect(await listTitles('posts')).toEqual([]);
+    const list = await request(app).get('/_admin/snapshots').expect(200);
+    expect(list.body).toHaveLength(1);
+  });
+
+  it('should restore the seed snapshot on start and on reset', async () => {
+    await request(app).post('/posts').send({ title: 'Seeded' }).expect(201);
+    await server.createSnapshot('seed');
+    await request(app).post('/posts').send({ title: 'Leaked' }).expect(201);
+    await server.stop();
+
+    createServer({ seed: 'seed' });
+    await server.start();
+    expect(await listTitles('posts')).toEqual(['Seeded']);
+
+    await request(app).post('/posts').send({ title: 'Leaked again' }).expect(201);
+    await server.reset();
+    expect(await listTitles('posts')).toEqual(['Seeded']);
+  });
+
+  it('should refuse to start with a missing seed snapshot', async () => {
+    await server.stop();
+    createServer({ seed: 'missing' });
+    await expect(server.start()).rejects.toThrow(/missing/);
+  });
+
+  it('should make requests wait for a restore', async () => {
+    await request(app).post('/posts').send({ title: 'First' }).expect(201);
+    await server.createSnapshot('baseline');
+    await request(app).post('/posts').send({ title: 'Second' }).expect(201);
+
+    const [, titles] = await Promise.all([
+      server.restoreSnapshot('baseline'),
+      listTitles('posts')
+    ]);
+    expect(titles).toEqual(['First']);
+  });
+
+  it('should work with the other storage adapters', async () => {
+    for (const storage of ['memory', 'json']) {
+      await server.stop();
+      await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+      createServer({ storage });
+
+      await request(app).post('/posts').send({ title: 'First' }).expect(201);
+      await server.createSnapshot('baseline');
+      await request(app).post('/posts').send({ title: 'Second' }).expect(201);
+      await server.restoreSnapshot('baseline');
+
+      expect(await listTitles('posts')).toEqual(['First']);
+    }
+  });
+});
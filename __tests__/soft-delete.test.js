@@ -0,0 +1,195 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-soft-delete');
+
+describe('Soft delete', () => {
+  let server;
+  let app;
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, softDelete: true });
+    app = server.getApp();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  const createUser = async (data) => {
+    const response = await request(app).post('/users').send(data).expect(201);
+    return response.body;
+  };
+
+  it('should move deleted items to the trash instead of removing them', async () => {
+    const user = await createUser({ name: 'Ana' });
+
+    const response = await request(app)
+      .delete(`/users/${user.id}`)
+      .expect(200);
+    expect(response.body.message).toBe('Item movido para a lixeira');
+
+    await request(app).get(`/users/${user.id}`).expect(404);
+    const listResponse = await request(app).get('/users').expect(200);
+    expect(listResponse.body).toEqual([]);
+
+    // Still on disk, with the deletion stamp
+    const stored = JSON.parse(await fs.readFile(path.join(TEST_DB_PATH, 'users', `${user.id}.json`), 'utf8'));
+    expect(stored.deletedAt).toBeDefined();
+  });
+
+  it('should show trashed items with _includeDeleted=true', async () => {
+    const ana = await createUser({ name: 'Ana' });
+    await createUser({ name: 'Bruno' });
+    await request(app).delete(`/users/${ana.id}`).expect(200);
+
+    const itemResponse = await request(app)
+      .get(`/users/${ana.id}?_includeDeleted=true`)
+      .expect(200);
+    expect(itemResponse.body.deletedAt).toBeDefined();
+
+    const listResponse = await request(app)
+      .get('/users?_includeDeleted=true')
+      .expect(200);
+    expect(listResponse.body).toHaveLength(2);
+
+    const trashResponse = await request(app)
+      .get('/users?_includeDeleted=true&deletedAt_null=false')
+      .expect(200);
+    expect(trashResponse.body.map(user => user.name)).toEqual(['Ana']);
+  });
+
+  it('should not update or delete trashed items again', async () => {
+    const user = await createUser({ name: 'Ana' });
+    await request(app).delete(`/users/${user.id}`).expect(200);
+
+    await request(app).patch(`/users/${user.id}`).send({ name: 'Ana Maria' }).expect(404);
+    await request(app).put(`/users/${user.id}`).send({ name: 'Ana Maria' }).expect(404);
+    await request(app).delete(`/users/${user.id}`).expect(404);
+  });
+
+  it('should ignore deletedAt sent by clients', async () => {
+    const user = await createUser({ name: 'Ana', deletedAt: '2024-01-01T00:00:00.000Z' });
+    expect(user).not.toHaveProperty('deletedAt');
+
+    await request(app)
+      .patch(`/users/${user.id}`)
+      .send({ deletedAt: '2024-01-01T00:00:00.000Z' })
+      .expect(200);
+
+    await request(app).get(`/users/${user.id}`).expect(200);
+  });
+
+  it('should restore trashed items', async () => {
+    const user = await createUser({ name: 'Ana' });
+    await request(app).delete(`/users/${user.id}`).expect(200);
+
+    const response = await request(app)
+      .post(`/users/${user.id}/_restore`)
+      .expect(200);
+    expect(response.body).not.toHaveProperty('deletedAt');
+    expect(response.body.name).toBe('Ana');
+    expect(response.headers.etag).toBeDefined();
+
+    await request(app).get(`/users/${user.id}`).expect(200);
+    await request(app).post(`/users/${user.id}/_restore`).expect(409);
+    await request(app).post('/users/550e8400-e29b-41d4-a716-446655440000/_restore').expect(404);
+  });
+
+  it('should purge a single item for good', async () => {
+    const user = await createUser({ name: 'Ana' });
+    await request(app).delete(`/users/${user.id}`).expect(200);
+
+    const response = await request(app)
+      .delete(`/users/${user.id}?_purge=true`)
+      .expect(200);
+    expect(response.body.message).toBe('Item removido com sucesso');
+
+    await request(app).get(`/users/${user.id}?_includeDeleted=true`).expect(404);
+    await request(app).post(`/users/${user.id}/_restore`).expect(404);
+  });
+
+  it('should purge trashed items by age', async () => {
+    const old = await createUser({ name: 'Old' });
+    const recent = await createUser({ name: 'Recent' });
+    const alive = await createUser({ name: 'Alive' });
+
+    await request(app).delete(`/users/${recent.id}`).expect(200);
+    await server.storage.write('users', old.id, { ...old, deletedAt: '2020-01-01T00:00:00.000Z' });
+
+    const response = await request(app)
+      .post('/users/_purge?olderThan=7d')
+      .expect(200);
+    expect(response.body.purged).toEqual([old.id]);
+
+    const trashResponse = await request(app).get('/users?_includeDeleted=true').expect(200);
+    expect(trashResponse.body.map(user => user.id).sort()).toEqual([recent.id, alive.id].sort());
+
+    const purged = await server.purge('users');
+    expect(purged).toEqual([recent.id]);
+
+    await request(app).post('/users/_purge?olderThan=soon').expect(400);
+  });
+
+  it('should trash every item matching the filters of a bulk delete', async () => {
+    await request(app).post('/tasks').send([{ status: 'done' }, { status: 'done' }, { status: 'todo' }]);
+
+    const response = await request(app)
+      .delete('/tasks?status=done')
+      .expect(200);
+    expect(response.body.deleted).toHaveLength(2);
+
+    const listResponse = await request(app).get('/tasks').expect(200);
+    expect(listResponse.body).toHaveLength(1);
+
+    const trashResponse = await request(app).get('/tasks?_includeDeleted=true').expect(200);
+    expect(trashResponse.body).toHaveLength(3);
+  });
+
+  it('should hide trashed records from relations and nested routes', async () => {
+    const user = await createUser({ name: 'Ana' });
+    const post = await request(app).post(`/users/${user.id}/posts`).send({ title: 'Hello' });
+    const comments = await request(app)
+      .post('/comments')
+      .send([{ postId: post.body.id, text: 'First' }, { postId: post.body.id, text: 'Second' }]);
+
+    await request(app).delete(`/comments/${comments.body.created[0].id}`).expect(200);
+
+    const embedResponse = await request(app)
+      .get(`/posts/${post.body.id}?_embed=comments`)
+      .expect(200);
+    expect(embedResponse.body.comments.map(comment => comment.text)).toEqual(['Second']);
+
+    await request(app).delete(`/users/${user.id}`).expect(200);
+    await request(app).get(`/users/${user.id}/posts`).expect(404);
+
+    const expandResponse = await request(app)
+      .get(`/posts/${post.body.id}?_expand=user`)
+      .expect(200);
+    expect(expandResponse.body.user).toBeNull();
+  });
+
+  it('should only apply to the configured collections', async () => {
+    await server.stop();
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, softDelete: ['users'] });
+    app = server.getApp();
+
+    const user = await createUser({ name: 'Ana' });
+    const product = await request(app).post('/products').send({ name: 'Pen', deletedAt: null });
+
+    await request(app).delete(`/users/${user.id}`).expect(200);
+    await request(app).delete(`/products/${product.body.id}`).expect(200);
+
+    const usersResponse = await request(app).get('/users?_includeDeleted=true').expect(200);
+    expect(usersResponse.body).toHaveLength(1);
+    const productsResponse = await request(app).get('/products?_includeDeleted=true').expect(200);
+    expect(productsResponse.body).toEqual([]);
+  });
+});
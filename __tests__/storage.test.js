@@ -0,0 +1,233 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  GenericRestServer,
+  FileSystemStorage,
+  MemoryStorage,
+  JsonFileStorage
+} = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-storage');
+
+const adapters = [
+  ['file', () => new FileSystemStorage({ dbPath: TEST_DB_PATH })],
+  ['memory', () => new MemoryStorage()],
+  ['json', () => new JsonFileStorage({ filePath: path.join(TEST_DB_PATH, 'db.json') })]
+];
+
+describe.each(adapters)('Storage adapter: %s', (name, createAdapter) => {
+  let server;
+  let app;
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+
+    server = new GenericRestServer({
+      port: 0,
+      dbPath: TEST_DB_PATH,
+      storage: createAdapter()
+    });
+    app = server.getApp();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should use the given adapter', () => {
+    expect(server.storage.name).toBe(name);
+  });
+
+  it('should create, read, update and delete items', async () => {
+    const created = await request(app)
+      .post('/users')
+      .send({ name: 'John Doe', age: 30 })
+      .expect(201);
+    const userId = created.body.id;
+
+    const list = await request(app).get('/users').expect(200);
+    expect(list.body).toEqual([created.body]);
+
+    const item = await request(app).get(`/users/${userId}`).expect(200);
+    expect(item.body).toEqual(created.body);
+
+    const patched = await request(app)
+      .patch(`/users/${userId}`)
+      .send({ age: 31 })
+      .expect(200);
+    expect(patched.body.age).toBe(31);
+    expect(patched.body.name).toBe('John Doe');
+
+    await request(app).delete(`/users/${userId}`).expect(200);
+    await request(app).get(`/users/${userId}`).expect(404);
+    await request(app).delete(`/users/${userId}`).expect(404);
+  });
+
+  it('should return empty array for non-existent collection', async () => {
+    const response = await request(app).get('/unknown').expect(200);
+    expect(response.body).toEqual([]);
+  });
+
+  it('should keep nested collections separate', async () => {
+    await request(app).post('/products/electronics').send({ name: 'Laptop' }).expect(201);
+    await request(app).post('/products/books').send({ name: 'Novel' }).expect(201);
+
+    const response = await request(app).get('/products/electronics').expect(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].name).toBe('Laptop');
+
+    expect(await server.storage.listCollections()).toEqual(['products/books', 'products/electronics']);
+  });
+
+  it('should filter, sort and paginate the same way', async () => {
+    const users = [
+      { name: 'Charlie', age: 30, status: 'active' },
+      { name: 'Alice', age: 25, status: 'inactive' },
+      { name: 'Bob', age: 35, status: 'active' }
+    ];
+    for (const user of users) {
+      await request(app).post('/users').send(user);
+    }
+
+    const filtered = await request(app)
+      .get('/users?status=active&_sort=age&_order=desc')
+      .expect(200);
+    expect(filtered.body.map(user => user.name)).toEqual(['Bob', 'Charlie']);
+
+    const paginated = await request(app)
+      .get('/users?_sort=name&_limit=2&_offset=1')
+      .expect(200);
+    expect(paginated.body.map(user => user.name)).toEqual(['Bob', 'Charlie']);
+  });
+});
+
+describe('File system collection index', () => {
+  let server;
+  let app;
+
+  // fs.watch events arrive asynchronously, so poll until the listing settles
+  const waitFor = async (check, timeout = 2000) => {
+    const start = Date.now();
+    for (;;) {
+      try {
+        return await check();
+      } catch (error) {
+        if (Date.now() - start > timeout) throw error;
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+    }
+  };
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH });
+    app = server.getApp();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should build the index lazily and keep it updated on writes', async () => {
+    const created = await request(app).post('/users').send({ name: 'John' }).expect(201);
+    expect(server.storage.cache.has('users')).toBe(false);
+
+    await request(app).get('/users').expect(200);
+    expect(server.storage.cache.has('users')).toBe(true);
+
+    await request(app).patch(`/users/${created.body.id}`).send({ name: 'Jane' }).expect(200);
+    await request(app).post('/users').send({ name: 'Bob' }).expect(201);
+
+    const list = await request(app).get('/users?_sort=name').expect(200);
+    expect(list.body.map(user => user.name)).toEqual(['Bob', 'Jane']);
+
+    await request(app).delete(`/users/${created.body.id}`).expect(200);
+    const afterDelete = await request(app).get('/users').expect(200);
+    expect(afterDelete.body.map(user => user.name)).toEqual(['Bob']);
+  });
+
+  it('should pick up files edited by hand', async () => {
+    const created = await request(app).post('/users').send({ name: 'John' }).expect(201);
+    await request(app).get('/users').expect(200);
+
+    const dirPath = path.join(TEST_DB_PATH, 'users');
+    const id = '550e8400-e29b-41d4-a716-446655440000';
+    await fs.writeFile(path.join(dirPath, `${id}.json`), JSON.stringify({ id, name: 'Manual' }));
+    await fs.writeFile(
+      path.join(dirPath, `${created.body.id}.json`),
+      JSON.stringify({ ...created.body, name: 'Edited' })
+    );
+
+    await waitFor(async () => {
+      const response = await request(app).get('/users?_sort=name').expect(200);
+      expect(response.body.map(user => user.name)).toEqual(['Edited', 'Manual']);
+    });
+
+    await fs.unlink(path.join(dirPath, `${id}.json`));
+
+    await waitFor(async () => {
+      await request(app).get(`/users/${id}`).expect(404);
+      const response = await request(app).get('/users').expect(200);
+      expect(response.body).toHaveLength(1);
+    });
+  });
+
+  it('should notice the collection directory being removed', async () => {
+    await request(app).post('/users').send({ name: 'John' }).expect(201);
+    await request(app).get('/users').expect(200);
+
+    await fs.rm(path.join(TEST_DB_PATH, 'users'), { recursive: true, force: true });
+
+    const response = await request(app).get('/users').expect(200);
+    expect(response.body).toEqual([]);
+  });
+
+  it('should read from disk when the cache is disabled', async () => {
+    const uncached = new GenericRestServer({ dbPath: TEST_DB_PATH, cache: false });
+
+    await request(uncached.getApp()).post('/users').send({ name: 'John' }).expect(201);
+    await request(uncached.getApp()).get('/users').expect(200);
+
+    expect(uncached.storage.cache.size).toBe(0);
+  });
+});
+
+describe('Storage option', () => {
+  it('should default to the file system adapter', () => {
+    const server = new GenericRestServer({ dbPath: TEST_DB_PATH });
+    expect(server.storage).toBeInstanceOf(FileSystemStorage);
+    expect(server.storage.dbPath).toBe(path.resolve(TEST_DB_PATH));
+  });
+
+  it('should accept adapter names', () => {
+    expect(new GenericRestServer({ storage: 'memory' }).storage).toBeInstanceOf(MemoryStorage);
+
+    const server = new GenericRestServer({ dbPath: TEST_DB_PATH, storage: 'json' });
+    expect(server.storage).toBeInstanceOf(JsonFileStorage);
+    expect(server.storage.filePath).toBe(path.join(path.resolve(TEST_DB_PATH), 'db.json'));
+  });
+
+  it('should reject unknown adapter names', () => {
+    expect(() => new GenericRestServer({ storage: 'mongo' })).toThrow('mongo');
+  });
+
+  it('should write the json-server layout to db.json', async () => {
+    const filePath = path.join(TEST_DB_PATH, 'layout', 'db.json');
+    const server = new GenericRestServer({ storage: new JsonFileStorage({ filePath }) });
+
+    const created = await request(server.getApp())
+      .post('/users')
+      .send({ name: 'John' })
+      .expect(201);
+
+    const db = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(db).toEqual({ users: [created.body] });
+
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-upsert');
+const USER_ID = '0b8a7c1e-5d3f-4a2b-9c6d-1e2f3a4b5c6d';
+
+describe('PUT upserts', () => {
+  let server;
+  let app;
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, upsert: true, ...options });
+    app = server.getApp();
+  };
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  it('should answer 404 for missing items unless upserts are on', async () => {
+    createServer({ upsert: false });
+    await request(app).put(`/users/${USER_ID}`).send({ name: 'Ana' }).expect(404);
+  });
+
+  it('should create a missing item with the id of the URL', async () => {
+    createServer();
+
+    const created = await request(app).put(`/users/${USER_ID}`).send({ name: 'Ana', id: 'ignored' }).expect(201);
+    expect(created.headers.location).toBe(`/users/${USER_ID}`);
+    expect(created.body).toMatchObject({ id: USER_ID, name: 'Ana' });
+    expect(created.body).toHaveProperty('createdAt');
+
+    const fetched = await request(app).get(`/users/${USER_ID}`).expect(200);
+    expect(fetched.headers.etag).toBe(created.headers.etag);
+
+    // Later PUTs replace it
+    const replaced = await request(app).put(`/users/${USER_ID}`).send({ name: 'Ana Maria' }).expect(200);
+    expect(replaced.headers.location).toBeUndefined();
+    expect(replaced.body).toMatchObject({ id: USER_ID, name: 'Ana Maria', createdAt: created.body.createdAt });
+  });
+
+  it('should honor If-None-Match and If-Match', async () => {
+    createServer();
+
+    await request(app).put(`/users/${USER_ID}`).set('If-Match', '"abc"').send({ name: 'Ana' }).expect(412);
+    const created = await request(app).put(`/users/${USER_ID}`).set('If-None-Match', '*').send({ name: 'Ana' }).expect(201);
+
+    const conflict = await request(app).put(`/users/${USER_ID}`).set('If-None-Match', '*').send({ name: 'Bia' }).expect(412);
+    expect(conflict.headers.etag).toBe(created.headers.etag);
+    await request(app).put(`/users/${USER_ID}`).set('If-None-Match', '"other"').send({ name: 'Bia' }).expect(200);
+
+    const user = await request(app).get(`/users/${USER_ID}`).expect(200);
+    expect(user.body.name).toBe('Bia');
+  });
+
+  it('should only accept ids of the collection strategy', async () => {
+    createServer({ ids: { counters: 'increment', accounts: 'client' } });
+
+    const invalid = await request(app).put('/users/not-a-uuid').send({ name: 'Ana' }).expect(422);
+    expect(invalid.body.errors[0].field).toBe('id');
+    await request(app).put('/counters/abc').send({ value: 1 }).expect(422);
+    expect(() => server.ids.parse('accounts', '..')).toThrow();
+    await request(app).put('/accounts/a%5Cb').send({ name: 'Backslash' }).expect(201);
+
+    const counter = await request(app).put('/counters/10').send({ value: 1 }).expect(201);
+    expect(counter.body.id).toBe(10);
+    const next = await request(app).post('/counters').send({ value: 2 }).expect(201);
+    expect(next.body.id).toBe(11);
+
+    const account = await request(app).put('/accounts/ana').send({ name: 'Ana' }).expect(201);
+    expect(account.body.id).toBe('ana');
+  });
+
+  it('should not take over trashed items or children of other parents', async () => {
+    createServer({ softDelete: true });
+
+    await request(app).put(`/users/${USER_ID}`).send({ name: 'Ana' }).expect(201);
+    await request(app).delete(`/users/${USER_ID}`).expect(200);
+    await request(app).put(`/users/${USER_ID}`).send({ name: 'Bia' }).expect(409);
+
+    const owner = (await request(app).post('/users').send({ name: 'Caio' }).expect(201)).body;
+    const other = (await request(app).post('/users').send({ name: 'Duda' }).expect(201)).body;
+    const post = await request(app).put(`/users/${owner.id}/posts/${USER_ID}`).send({ title: 'Hello' }).expect(201);
+    expect(post.body.userId).toBe(owner.id);
+    await request(app).put(`/users/${other.id}/posts/${USER_ID}`).send({ title: 'Mine' }).expect(409);
+  });
+
+  it('should be limited to the listed collections', async () => {
+    createServer({ upsert: ['devices'] });
+
+    await request(app).put(`/devices/${USER_ID}`).send({ model: 'X' }).expect(201);
+    await request(app).put(`/users/${USER_ID}`).send({ name: 'Ana' }).expect(404);
+  });
+
+  it('should upsert in batches', async () => {
+    createServer();
+
+    const response = await request(app)
+      .post('/_batch')
+      .send([
+        { method: 'PUT', path: `/users/${USER_ID}`, body: { name: 'Ana' } },
+        { method: 'PUT', path: `/users/${USER_ID}`, body: { name: 'Bia' }, headers: { 'If-None-Match': '*' } }
+      ])
+      .expect(200);
+
+    expect(response.body.results.map(result => result.status)).toEqual([201, 412]);
+  });
+});
@@ -0,0 +1,243 @@
+const request = require('supertest');
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { GenericRestServer } = require('../src/index');
+const { sign } = require('../src/webhooks');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-db-webhooks');
+
+describe('Webhooks', () => {
+  let server;
+  let app;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responses;
+
+  // Local stand-in for the system receiving the webhooks: answers with the
+  // queued status codes (200 once they run out)
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+        res.statusCode = responses.length > 0 ? responses.shift() : 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://localhost:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+  });
+
+  const createServer = (options = {}) => {
+    server = new GenericRestServer({ port: 0, dbPath: TEST_DB_PATH, webhookRetryDelay: 10, ...options });
+    app = server.getApp();
+  };
+
+  const waitForDelivery = () => new Promise(resolve => server.webhooks.once('delivery', resolve));
+
+  beforeEach(async () => {
+    await fs.rm(TEST_DB_PATH, { recursive: true, force: true });
+    received = [];
+    responses = [];
+    createServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  describe('Registry', () => {
+    it('should register, list, update and remove webhooks', async () => {
+      const created = await request(app)
+        .post('/_webhooks')
+        .send({ url: `${receiverUrl}/orders`, collections: ['orders'], events: ['create'] })
+        .expect(201);
+
+      expect(created.body).toMatchObject({ url: `${receiverUrl}/orders`, collections: ['orders'], events: ['create'], active: true });
+      expect(created.body.id).toBeDefined();
+      expect(created.body.secret).toMatch(/^[0-9a-f]{48}$/);
+
+      const listResponse = await request(app).get('/_webhooks').expect(200);
+      expect(listResponse.body).toHaveLength(1);
+      expect(listResponse.body[0]).not.toHaveProperty('secret');
+      expect(listResponse.body[0].signed).toBe(true);
+
+      const updated = await request(app)
+        .patch(`/_webhooks/${created.body.id}`)
+        .send({ events: ['create', 'delete'], active: false })
+        .expect(200);
+      expect(updated.body).toMatchObject({ events: ['create', 'delete'], active: false });
+
+      await request(app).get(`/_webhooks/${created.body.id}`).expect(200);
+      await request(app).delete(`/_webhooks/${created.body.id}`).expect(200);
+      await request(app).get(`/_webhooks/${created.body.id}`).expect(404);
+      await request(app).delete(`/_webhooks/${created.body.id}`).expect(404);
+    });
+
+    it('should validate webhooks', async () => {
+      const response = await request(app)
+        .post('/_webhooks')
+        .send({ url: 'ftp://example.com', events: ['create', 'explode'] })
+        .expect(422);
+
+      expect(response.body.errors.map(error => error.field).sort()).toEqual(['events', 'url']);
+    });
+
+    it('should save the registry to _webhooks.json and load it back', async () => {
+      const created = await request(app)
+        .post('/_webhooks')
+        .send({ url: receiverUrl })
+        .expect(201);
+
+      const saved = JSON.parse(await fs.readFile(path.join(TEST_DB_PATH, '_webhooks.json'), 'utf8'));
+      expect(saved.map(hook => hook.id)).toEqual([created.body.id]);
+
+      await server.stop();
+      createServer();
+      const listResponse = await request(app).get('/_webhooks').expect(200);
+      expect(listResponse.body.map(hook => hook.id)).toEqual([created.body.id]);
+
+      // Not exposed as a collection
+      expect(await server.storage.listCollections()).toEqual([]);
+    });
+
+    it('should not expose the registry file as a record', async () => {
+      await request(app).post('/_webhooks').send({ url: receiverUrl, secret: 's3cret' }).expect(201);
+
+      await request(app).get('/_webhooks.json').expect(404);
+      await request(app).patch('/_webhooks.json').send({}).expect(404);
+      await request(app).delete('/_webhooks.json').expect(404);
+      await request(app).get('/').expect(404);
+      await request(app).post('/').send({ name: 'root' }).expect(404);
+      const batch = await request(app)
+        .post('/_batch')
+        .send([{ method: 'DELETE', path: '/_webhooks.json' }])
+        .expect(200);
+      expect(batch.body.results[0].status).toBe(404);
+
+      const saved = JSON.parse(await fs.readFile(path.join(TEST_DB_PATH, '_webhooks.json'), 'utf8'));
+      expect(saved).toHaveLength(1);
+    });
+
+    it('should accept webhooks from a config file', async () => {
+      const filePath = path.join(TEST_DB_PATH, 'hooks.json');
+      await fs.mkdir(TEST_DB_PATH, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify([{ id: 'from-file', url: `${receiverUrl}/file`, collections: ['orders'] }]));
+      await server.stop();
+      createServer({ webhooksFile: filePath });
+
+      const delivered = waitForDelivery();
+      await request(app).post('/orders').send({ total: 10 }).expect(201);
+      const delivery = await delivered;
+
+      expect(delivery).toMatchObject({ webhookId: 'from-file', status: 'success', event: 'create' });
+      expect(received[0].path).toBe('/file');
+      // Hooks without a secret are sent unsigned
+      expect(received[0].headers['x-webhook-signature']).toBeUndefined();
+    });
+  });
+
+  describe('Deliveries', () => {
+    it('should deliver signed payloads for matching changes', async () => {
+      const hook = await request(app)
+        .post('/_webhooks')
+        .send({ url: receiverUrl, collections: ['orders'], events: ['create', 'update'] })
+        .expect(201);
+
+      await request(app).post('/users').send({ name: 'Ana' }).expect(201);
+      const delivered = waitForDelivery();
+      const order = await request(app).post('/orders').send({ total: 10 }).expect(201);
+      await delivered;
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body, payload }] = received;
+      expect(payload).toMatchObject({
+        webhookId: hook.body.id,
+        type: 'create',
+        collection: 'orders',
+        id: order.body.id,
+        data: { total: 10 }
+      });
+      expect(headers['x-webhook-event']).toBe('create');
+      expect(headers['x-webhook-delivery']).toBe(payload.deliveryId);
+      expect(headers['x-webhook-signature']).toBe(`sha256=${sign(hook.body.secret, body)}`);
+
+      // Deletes are not part of the hook events
+      await request(app).delete(`/orders/${order.body.id}`).expect(200);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(received).toHaveLength(1);
+    });
+
+    it('should retry failed deliveries with exponential backoff', async () => {
+      const hook = await request(app).post('/_webhooks').send({ url: receiverUrl }).expect(201);
+      responses = [500, 503];
+
+      const delivered = waitForDelivery();
+      await request(app).post('/orders').send({ total: 10 }).expect(201);
+      const delivery = await delivered;
+
+      expect(delivery.status).toBe('success');
+      expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 503, 200]);
+      expect(received).toHaveLength(3);
+      expect(new Set(received.map(item => item.payload.deliveryId)).size).toBe(1);
+
+      // Backoff: 10ms then 20ms
+      const [first, second, third] = delivery.attempts.map(attempt => Date.parse(attempt.timestamp));
+      expect(second - first).toBeGreaterThanOrEqual(10);
+      expect(third - second).toBeGreaterThanOrEqual(20);
+
+      const log = await request(app).get(`/_webhooks/${hook.body.id}/deliveries`).expect(200);
+      expect(log.body).toHaveLength(1);
+      expect(log.body[0]).toMatchObject({ id: delivery.id, status: 'success' });
+    });
+
+    it('should give up after the configured retries', async () => {
+      await server.stop();
+      createServer({ webhookRetries: 2 });
+      await request(app).post('/_webhooks').send({ url: receiverUrl }).expect(201);
+      responses = [500, 500, 500, 500];
+
+      const delivered = waitForDelivery();
+      await request(app).post('/orders').send({ total: 10 }).expect(201);
+      const delivery = await delivered;
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(3);
+    });
+
+    it('should not retry client errors', async () => {
+      await request(app).post('/_webhooks').send({ url: receiverUrl }).expect(201);
+      responses = [400];
+
+      const delivered = waitForDelivery();
+      await request(app).post('/orders').send({ total: 10 }).expect(201);
+      const delivery = await delivered;
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(1);
+    });
+
+    it('should log unreachable receivers', async () => {
+      await server.stop();
+      createServer({ webhookRetries: 1 });
+      const hook = await request(app).post('/_webhooks').send({ url: 'http://localhost:1/unreachable' }).expect(201);
+
+      const delivered = waitForDelivery();
+      await request(app).post('/orders').send({ total: 10 }).expect(201);
+      await delivered;
+
+      const log = await request(app).get(`/_webhooks/${hook.body.id}/deliveries`).expect(200);
+      expect(log.body[0].status).toBe('failed');
+      expect(log.body[0].attempts).toHaveLength(2);
+      expect(log.body[0].attempts[0].error).toBeDefined();
+    });
+  });
+});
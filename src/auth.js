@@ -0,0 +1,300 @@
+// Built-in authentication and per-collection authorization.
+//
+// Clients authenticate with a JWT (HS256) from /_auth/login or
+// /_auth/register, sent as "Authorization: Bearer <token>", or with an API
+// key sent as "X-API-Key: <key>". Passwords are hashed with scrypt.
+//
+// Rules map collections to the access level required by each method:
+//
+//   {
+//     "*": "public",
+//     "posts": { "read": "public", "write": "authenticated", "DELETE": ["owner", "role:admin"] },
+//     "orders": "owner"
+//   }
+//
+// Levels are "public", "authenticated", "owner" (the record ownerId must be
+// the token subject), "role:<name>[,<name>]" and "none"; a list allows any
+// of them. Method keys win over "read" (GET) and "write" (everything else),
+// which win over "*". Subcollections (products/books) fall back to the rule
+// of their parent and collections without rules to the "*" entry, which
+// defaults to "public". The /_admin endpoints (import, export, snapshots and
+// reset) and the webhook registry (/_webhooks) are for the admin role unless
+// the rules have an entry for them.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { parseDuration } = require('./duration');
+const { isPlainObject } = require('./patch');
+
+const LEVEL_REGEX = /^(public|authenticated|owner|none|role:[\w-]+(,[\w-]+)*)$/;
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Built-in endpoints that do not fall back to the "*" rule
+const ADMIN_COLLECTIONS = ['_admin', '_webhooks'];
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.headers = status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {};
+  }
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => {
+      if (error) return reject(error);
+      resolve(safeEqual(key.toString('hex'), hash));
+    });
+  });
+}
+
+function signToken(claims, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = base64url(crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest());
+  return `${header}.${payload}.${signature}`;
+}
+
+// Claims of a valid token; throws an AuthError otherwise
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Token inválido');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = base64url(crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest());
+  if (!safeEqual(signature, expected)) {
+    throw new AuthError('Token inválido');
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(fromBase64url(header).toString('utf8'));
+    claims = JSON.parse(fromBase64url(payload).toString('utf8'));
+    if (alg !== 'HS256' || !isPlainObject(claims)) throw new Error();
+  } catch (error) {
+    throw new AuthError('Token inválido');
+  }
+
+  if (claims.exp !== undefined && Date.now() >= claims.exp * 1000) {
+    throw new AuthError('Token expirado');
+  }
+  return claims;
+}
+
+function normalizeLevels(value, where) {
+  const levels = Array.isArray(value) ? value : [value];
+  for (const level of levels) {
+    if (typeof level !== 'string' || !LEVEL_REGEX.test(level)) {
+      throw new Error(`Regra de acesso inválida em ${where}: ${JSON.stringify(level)}`);
+    }
+  }
+  return levels;
+}
+
+// Check and normalize a rules object into { collection: { key: levels } }
+function parseRules(rules) {
+  if (!isPlainObject(rules)) {
+    throw new Error('As regras de acesso devem ser um objeto JSON');
+  }
+
+  const parsed = {};
+  for (const [collection, rule] of Object.entries(rules)) {
+    const entries = isPlainObject(rule) ? Object.entries(rule) : [['*', rule]];
+    parsed[collection] = {};
+    for (const [key, levels] of entries) {
+      const method = ['*', 'read', 'write'].includes(key) ? key : key.toUpperCase();
+      parsed[collection][method] = normalizeLevels(levels, `${collection}.${key}`);
+    }
+  }
+  return parsed;
+}
+
+class AuthManager {
+  constructor(options = {}) {
+    // Without a fixed secret tokens stop working when the server restarts
+    this.secret = options.secret || process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+    this.usersCollection = options.usersCollection || 'users';
+    // Field holding the id of user records (the primary key of the collection)
+    this.userIdField = options.userIdField || 'id';
+    this.expiresIn = parseDuration(options.expiresIn || '1h');
+    this.defaultRole = options.defaultRole || 'user';
+    this.adminRole = options.adminRole || 'admin';
+    this.apiKeys = (options.apiKeys || []).map(apiKey => (typeof apiKey === 'string' ? { key: apiKey } : apiKey));
+    this.rulesFile = options.rulesFile || null;
+    this.rules = options.rules ? parseRules(options.rules) : null;
+
+    if (this.expiresIn === null) {
+      throw new Error(`Duração inválida: ${options.expiresIn}`);
+    }
+  }
+
+  async loadRules() {
+    if (this.rules) {
+      return this.rules;
+    }
+
+    let rules = {};
+    if (this.rulesFile) {
+      try {
+        rules = JSON.parse(await fs.readFile(this.rulesFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Arquivo de regras inválido (${this.rulesFile}): ${error.message}`);
+      }
+    }
+    this.rules = parseRules(rules);
+    return this.rules;
+  }
+
+  issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      sub: String(user[this.userIdField]),
+      role: user.role || this.defaultRole,
+      iat: now,
+      exp: now + Math.floor(this.expiresIn / 1000)
+    };
+    if (user.email !== undefined) claims.email = user.email;
+    if (user.username !== undefined) claims.username = user.username;
+    return signToken(claims, this.secret);
+  }
+
+  isAdmin(principal) {
+    return Boolean(principal) && principal.role === this.adminRole;
+  }
+
+  // The principal behind a request: { sub, role, type } for a valid token
+  // or API key, null for anonymous requests. Invalid credentials throw.
+  authenticate({ authorization, apiKey, accessToken }) {
+    if (apiKey !== undefined) {
+      const match = this.apiKeys.find(item => safeEqual(String(item.key), String(apiKey)));
+      if (!match) {
+        throw new AuthError('Chave de API inválida');
+      }
+      return { sub: String(match.subject || match.name || 'api-key'), role: match.role || this.defaultRole, type: 'apiKey' };
+    }
+
+    let token = accessToken;
+    if (authorization) {
+      const [scheme, value] = String(authorization).split(' ');
+      if (!/^bearer$/i.test(scheme) || !value) {
+        throw new AuthError('Cabeçalho Authorization inválido: use Bearer <token>');
+      }
+      token = value;
+    }
+    if (token === undefined) {
+      return null;
+    }
+
+    const claims = verifyToken(token, this.secret);
+    return { sub: String(claims.sub), role: claims.role || this.defaultRole, type: 'token' };
+  }
+
+  getRule(collection) {
+    const segments = collection.split('/');
+    while (segments.length > 0) {
+      const rule = this.rules[segments.join('/')];
+      if (rule) return rule;
+      segments.pop();
+    }
+    if (ADMIN_COLLECTIONS.includes(collection)) {
+      return { '*': [`role:${this.adminRole}`] };
+    }
+    return this.rules['*'] || {};
+  }
+
+  getLevels(collection, method) {
+    const rule = this.getRule(collection);
+    const group = WRITE_METHODS.includes(method) ? 'write' : 'read';
+    return rule[method] || rule[group] || rule['*'] || ['public'];
+  }
+
+  isOwner(principal, collection, record) {
+    if (!principal || !record) return false;
+    if (record.ownerId !== undefined && record.ownerId !== null) {
+      return String(record.ownerId) === principal.sub;
+    }
+    // Users own their own account record
+    return collection === this.usersCollection && String(record[this.userIdField]) === principal.sub;
+  }
+
+  passes(level, principal, collection, record) {
+    if (level === 'public') return true;
+    if (level === 'none' || !principal) return false;
+    if (level === 'authenticated') return true;
+    if (level === 'owner') return record === undefined || this.isOwner(principal, collection, record);
+    return level.slice('role:'.length).split(',').includes(principal.role);
+  }
+
+  deny(principal) {
+    return principal
+      ? new AuthError('Acesso negado', 403)
+      : new AuthError('Autenticação necessária');
+  }
+
+  // Collection-level check: throws when the method is not allowed at all,
+  // returns true when only the records the principal owns are reachable
+  authorizeCollection(principal, collection, method) {
+    const levels = this.getLevels(collection, method);
+    if (levels.some(level => level !== 'owner' && this.passes(level, principal, collection))) {
+      return false;
+    }
+    if (levels.includes('owner') && principal) {
+      return true;
+    }
+    throw this.deny(principal);
+  }
+
+  // Record-level check: throws when the method is not allowed on the record
+  authorizeRecord(principal, collection, method, record) {
+    const levels = this.getLevels(collection, method);
+    if (!levels.some(level => this.passes(level, principal, collection, record))) {
+      throw this.deny(principal);
+    }
+  }
+
+  canRead(principal, collection, record) {
+    const levels = this.getLevels(collection, 'GET');
+    return levels.some(level => this.passes(level, principal, collection, record || undefined));
+  }
+}
+
+module.exports = {
+  AuthError,
+  AuthManager,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken
+};
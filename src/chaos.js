@@ -0,0 +1,235 @@
+// Latency and failure simulation, so loading states, retries and error
+// handling of a frontend can be exercised against the mock API.
+//
+// Settings apply globally, per route pattern or per request:
+//
+//   {
+//     delay: '100-800',              // fixed (300, '1s') or random range
+//     failureRate: 0.1,              // share of requests answered with an error
+//     failureStatus: [500, 503],     // status codes picked for those errors
+//     dropRate: 0.05,                // share of connections closed without an answer
+//     timeoutRate: 0.05,             // share of requests never answered
+//     rateLimit: '100/1m',           // requests per client and window (429 beyond it)
+//     routes: { 'POST /orders*': { failureRate: 0.5 } },
+//     headers: true                  // honor the X-Mock-* request headers
+//   }
+//
+// Route settings override the global ones. Requests can ask for their own
+// behavior with X-Mock-Delay, X-Mock-Status, X-Mock-Timeout and X-Mock-Drop.
+
+const { parseDuration } = require('./duration');
+
+const SETTINGS = ['delay', 'failureRate', 'failureStatus', 'dropRate', 'timeoutRate', 'rateLimit'];
+
+// Range of a delay: 300, '1s', '100-800' or [100, 800]
+function parseDelay(value) {
+  const parts = Array.isArray(value) ? value : String(value).split('-');
+  const range = parts.map(part => parseDuration(typeof part === 'string' ? part.trim() : part));
+  if (range.length < 1 || range.length > 2 || range.includes(null)) {
+    return null;
+  }
+  const [min, max = min] = range;
+  return min <= max ? [min, max] : null;
+}
+
+// Requests allowed per window: 100 (per minute), '100/30s' or { max, window }
+function parseRateLimit(value) {
+  let max = value;
+  let window = '1m';
+  if (typeof value === 'string') {
+    [max, window = '1m'] = value.split('/');
+  } else if (value && typeof value === 'object') {
+    ({ max, window = '1m' } = value);
+  }
+
+  max = Number(max);
+  const duration = parseDuration(window);
+  return Number.isInteger(max) && max > 0 && duration ? { max, window: duration } : null;
+}
+
+function parseRate(value) {
+  const rate = Number(value);
+  return rate >= 0 && rate <= 1 ? rate : null;
+}
+
+function parseStatus(value) {
+  const status = Number(value);
+  return Number.isInteger(status) && status >= 400 && status <= 599 ? status : null;
+}
+
+// Check and normalize the settings of one scope, keeping only those given
+function normalizeSettings(settings, scope) {
+  const normalized = {};
+  const fail = name => {
+    throw new Error(`Configuração de simulação inválida (${scope}): ${name}`);
+  };
+
+  for (const name of SETTINGS) {
+    const value = settings[name];
+    if (value === undefined || value === null) continue;
+
+    if (name === 'delay') {
+      normalized.delay = parseDelay(value) || fail(name);
+    } else if (name === 'failureStatus') {
+      const codes = (Array.isArray(value) ? value : String(value).split(',')).map(parseStatus);
+      normalized.failureStatus = codes.length > 0 && !codes.includes(null) ? codes : fail(name);
+    } else if (name === 'rateLimit') {
+      normalized.rateLimit = { ...(parseRateLimit(value) || fail(name)), scope };
+    } else {
+      const rate = parseRate(value);
+      normalized[name] = rate !== null ? rate : fail(name);
+    }
+  }
+  return normalized;
+}
+
+// "POST /orders/*" or "/orders/*": optional method and a path where "*"
+// matches anything
+function parsePattern(pattern) {
+  const [first, second] = pattern.trim().split(/\s+/);
+  const method = second ? first.toUpperCase() : null;
+  const source = (second || first).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return { method, regex: new RegExp(`^${source}$`) };
+}
+
+function randomBetween([min, max]) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function chance(rate) {
+  return rate > 0 && Math.random() < rate;
+}
+
+class ChaosSimulator {
+  constructor(options = {}) {
+    this.settings = normalizeSettings(options, 'global');
+    this.routes = Object.entries(options.routes || {}).map(([pattern, settings]) => ({
+      ...parsePattern(pattern),
+      settings: normalizeSettings(settings, pattern)
+    }));
+    this.headers = options.headers !== false;
+    this.counters = new Map();
+    // Requests being delayed or held, closed by close()
+    this.pending = new Set();
+  }
+
+  // Global settings overridden by those of the first matching route
+  getSettings(req) {
+    const route = this.routes.find(item => {
+      return (!item.method || item.method === req.method) && item.regex.test(req.path);
+    });
+    return route ? { ...this.settings, ...route.settings } : this.settings;
+  }
+
+  // Behavior asked for by the X-Mock-* headers of a request
+  readHeaders(req) {
+    const mock = {};
+    if (!this.headers) {
+      return mock;
+    }
+
+    const delay = req.get('X-Mock-Delay');
+    if (delay !== undefined) {
+      mock.delay = parseDelay(delay);
+      if (!mock.delay) throw new Error(`Cabeçalho X-Mock-Delay inválido: ${delay}`);
+    }
+    const status = req.get('X-Mock-Status');
+    if (status !== undefined) {
+      mock.status = parseStatus(status);
+      if (!mock.status) throw new Error(`Cabeçalho X-Mock-Status inválido: ${status} (use 400-599)`);
+    }
+    mock.timeout = req.get('X-Mock-Timeout') === 'true';
+    mock.drop = req.get('X-Mock-Drop') === 'true';
+    return mock;
+  }
+
+  // Count the request in its fixed window; true when it goes over the limit
+  isRateLimited(req, res, limit) {
+    const now = Date.now();
+    const key = `${limit.scope} ${req.ip}`;
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + limit.window };
+      this.counters.set(key, counter);
+    }
+    counter.count++;
+
+    res.set('X-RateLimit-Limit', String(limit.max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, limit.max - counter.count)));
+    if (counter.count <= limit.max) {
+      return false;
+    }
+    res.set('Retry-After', String(Math.ceil((counter.resetAt - now) / 1000)));
+    return true;
+  }
+
+  // Run `callback` after `delay` ms unless the client goes away first
+  wait(res, delay, callback) {
+    if (delay <= 0) {
+      return callback();
+    }
+    const entry = { res };
+    entry.timer = setTimeout(() => {
+      this.pending.delete(entry);
+      callback();
+    }, delay);
+    this.pending.add(entry);
+    res.on('close', () => {
+      clearTimeout(entry.timer);
+      this.pending.delete(entry);
+    });
+  }
+
+  // Express middleware
+  handle(req, res, next) {
+    let settings;
+    let mock;
+    try {
+      settings = this.getSettings(req);
+      mock = this.readHeaders(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (settings.rateLimit && this.isRateLimited(req, res, settings.rateLimit)) {
+      return res.status(429).json({ error: 'Muitas requisições: tente novamente mais tarde' });
+    }
+
+    const delay = mock.delay || settings.delay;
+    this.wait(res, delay ? randomBetween(delay) : 0, () => {
+      if (mock.drop || chance(settings.dropRate)) {
+        return req.socket.destroy();
+      }
+      if (mock.timeout || chance(settings.timeoutRate)) {
+        // Never answered: the client has to give up on its own
+        const entry = { res };
+        this.pending.add(entry);
+        return res.on('close', () => this.pending.delete(entry));
+      }
+
+      let status = mock.status;
+      if (!status && chance(settings.failureRate)) {
+        const codes = settings.failureStatus || [500];
+        status = codes[Math.floor(Math.random() * codes.length)];
+      }
+      if (status) {
+        if (status === 429 || status === 503) {
+          res.set('Retry-After', '1');
+        }
+        return res.status(status).json({ error: 'Falha simulada', status });
+      }
+      next();
+    });
+  }
+
+  // Drop the requests still being delayed or held
+  close() {
+    for (const entry of this.pending) {
+      clearTimeout(entry.timer);
+      entry.res.destroy();
+    }
+    this.pending.clear();
+  }
+}
+
+module.exports = ChaosSimulator;
@@ -0,0 +1,188 @@
+// Import and export of whole databases as a single JSON object with the
+// collections as top-level keys - the db.json layout of json-server:
+//
+//   { "users": [{ "id": 1, "name": "Ana" }], "products/books": [...] }
+//
+// Imports go straight to the storage adapter: records keep their ids (or
+// get a new one from the ID strategy of their collection) and are not
+// validated, versioned or announced as changes.
+// Ids are read from the primary key of each collection ("id" by default).
+// Snapshots use the same layout for every collection, internal ones included.
+
+const fs = require('fs').promises;
+const { ValidationError } = require('./schema');
+const { isPlainObject } = require('./patch');
+const { IdManager, isValidId } = require('./ids');
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Characters a URL path segment may hold (RFC 3986 pchar)
+const SEGMENT_REGEX = /^[\w.~!$&'()*+,;=:@%-]+$/;
+
+// Collection names become directories: no empty, "." or ".." segments and
+// nothing a route could not reach
+function isValidCollection(collection) {
+  return collection.split('/').every(segment => SEGMENT_REGEX.test(segment) && !/^\.+$/.test(segment));
+}
+
+// Check a whole database before anything is written, so a broken file is
+// never half imported. Top-level keys that are not lists of records (or
+// name internal collections) are skipped. Records without an id get one
+// from `ids` (an IdManager), never one already used in the file.
+async function planImport(storage, data, ids) {
+  if (!isPlainObject(data)) {
+    throw new ValidationError([{ field: '(root)', message: 'deve ser um objeto com as coleções como chaves' }]);
+  }
+
+  const collections = [];
+  const skipped = [];
+  const errors = [];
+
+  for (const [key, records] of Object.entries(data)) {
+    const collection = key.replace(/^\/+|\/+$/g, '');
+    if (!collection || !Array.isArray(records) || storage.isInternalCollection(collection)) {
+      skipped.push(key);
+      continue;
+    }
+    if (!isValidCollection(collection)) {
+      errors.push({ field: key, message: 'não é um nome de coleção válido' });
+      continue;
+    }
+
+    const primaryKey = storage.getPrimaryKey(collection);
+    const hasId = record => record[primaryKey] !== undefined && record[primaryKey] !== null && record[primaryKey] !== '';
+    const taken = new Set(records.filter(record => isPlainObject(record) && hasId(record)).map(record => String(record[primaryKey])));
+
+    const items = [];
+    for (const [index, record] of records.entries()) {
+      if (!isPlainObject(record)) {
+        errors.push({ field: `${key}[${index}]`, message: 'deve ser um objeto JSON' });
+        continue;
+      }
+      if (hasId(record)) {
+        const id = record[primaryKey];
+        if (!isValidId(id)) {
+          errors.push({ field: `${key}[${index}].${primaryKey}`, message: 'deve ser um texto sem barras ou um número inteiro' });
+        } else if (storage.isReservedId(String(id))) {
+          errors.push({ field: `${key}[${index}].${primaryKey}`, message: 'é um id reservado' });
+        }
+        items.push(record);
+        continue;
+      }
+
+      try {
+        let id;
+        do {
+          id = await ids.generate(collection, storage);
+        } while (taken.has(String(id)));
+        taken.add(String(id));
+        items.push({ ...record, [primaryKey]: id });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push(...error.errors.map(({ field, message }) => ({ field: `${key}[${index}].${field}`, message })));
+      }
+    }
+    collections.push({ collection, items });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return { collections, skipped };
+}
+
+// Make a collection hold exactly `records`, leaving unchanged ones alone
+async function replaceCollection(storage, collection, records) {
+  const primaryKey = storage.getPrimaryKey(collection);
+  const current = new Map((await storage.list(collection)).map(record => [String(record[primaryKey]), record]));
+  const ids = new Set(records.map(record => String(record[primaryKey])));
+
+  for (const id of current.keys()) {
+    if (!ids.has(id)) {
+      await storage.remove(collection, id);
+    }
+  }
+  for (const record of records) {
+    const id = String(record[primaryKey]);
+    if (!current.has(id) || JSON.stringify(current.get(id)) !== JSON.stringify(record)) {
+      await storage.write(collection, id, record);
+    }
+  }
+}
+
+// Write a database into the storage. "merge" adds and overwrites records by
+// id, "replace" also removes the records missing from the imported collections.
+async function importData(storage, data, { mode = 'merge', ids = new IdManager() } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ValidationError([{ field: 'mode', message: `deve ser um de: ${IMPORT_MODES.join(', ')}` }]);
+  }
+
+  const { collections, skipped } = await planImport(storage, data, ids);
+  const imported = {};
+
+  for (const { collection, items } of collections) {
+    if (mode === 'replace') {
+      await replaceCollection(storage, collection, items);
+    } else {
+      const primaryKey = storage.getPrimaryKey(collection);
+      for (const item of items) {
+        await storage.write(collection, String(item[primaryKey]), item);
+      }
+    }
+    imported[collection] = items.length;
+  }
+  return { imported, skipped };
+}
+
+async function readDataFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Não foi possível ler ${filePath}: ${error.message}`);
+  }
+}
+
+// Every collection (or the given ones) with all of its records, including
+// soft-deleted ones
+async function exportData(storage, { collections } = {}) {
+  const names = collections && collections.length > 0
+    ? collections.filter(collection => !storage.isInternalCollection(collection))
+    : await storage.listCollections();
+
+  const data = {};
+  for (const collection of names) {
+    data[collection] = await storage.list(collection);
+  }
+  return data;
+}
+
+// Every record of every collection, internal ones (history, accounts...)
+// included, except the `exclude`d collections
+async function dumpStorage(storage, { exclude = [] } = {}) {
+  const data = {};
+  for (const collection of await storage.listCollections({ includeInternal: true })) {
+    if (!exclude.includes(collection)) {
+      data[collection] = await storage.list(collection);
+    }
+  }
+  return data;
+}
+
+// Bring the whole storage back to a dump: collections missing from it are
+// emptied, except the `exclude`d ones
+async function restoreStorage(storage, data, { exclude = [] } = {}) {
+  const collections = new Set([...(await storage.listCollections({ includeInternal: true })), ...Object.keys(data)]);
+  for (const collection of collections) {
+    if (!exclude.includes(collection)) {
+      await replaceCollection(storage, collection, data[collection] || []);
+    }
+  }
+}
+
+module.exports = {
+  importData,
+  exportData,
+  readDataFile,
+  dumpStorage,
+  restoreStorage
+};
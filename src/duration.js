@@ -0,0 +1,15 @@
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse a duration such as "30s", "15m", "12h" or "7d" (plain numbers are
+// milliseconds), returning null when it is not valid
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? value : null;
+  }
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  return match ? Number(match[1]) * DURATION_UNITS[match[2] || 'ms'] : null;
+}
+
+module.exports = {
+  parseDuration
+};
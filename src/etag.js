@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Serialize with sorted keys so the same record always hashes the same way,
+// whatever key order the storage adapter hands it back in
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Strong ETag derived from the record content - any change to the stored
+// record produces a new version
+function computeETag(record) {
+  const hash = crypto.createHash('sha1').update(canonicalize(record)).digest('hex');
+  return `"${hash}"`;
+}
+
+// Check an If-Match / If-None-Match header value against the current ETag.
+// `etag` is null when the record does not exist, which only matches nothing.
+function matchesETag(header, etag) {
+  if (!etag) return false;
+
+  const candidates = header.split(',').map(value => value.trim()).filter(Boolean);
+  if (candidates.includes('*')) return true;
+
+  const opaque = etag.replace(/^W\//, '');
+  return candidates.some(candidate => candidate.replace(/^W\//, '') === opaque);
+}
+
+module.exports = {
+  computeETag,
+  matchesETag
+};
@@ -0,0 +1,390 @@
+// GraphQL endpoint over the collections. Every collection becomes an
+// object type with a list query (filters, sorting and pagination mirroring
+// the REST query parameters), a by-id query and create/update/delete
+// mutations. Reads and writes go through the same server methods as the
+// REST routes, so validation, timestamps, history, events and access rules
+// behave the same. Types come from the declared schemas or the stored
+// records and are rebuilt whenever those change.
+
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLID,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLError,
+  getOperationAST,
+  parse,
+  validate,
+  execute,
+  valueFromASTUntyped
+} = require('graphql');
+const { describeCollection } = require('./openapi');
+const { QueryError, applyQuery } = require('./query');
+const { isPlainObject } = require('./patch');
+const { singularize } = require('./relations');
+
+const NAME_REGEX = /^[_a-zA-Z][_a-zA-Z0-9]*$/;
+const SYSTEM_FIELDS = ['createdAt', 'updatedAt'];
+
+// Error codes in the "extensions" of GraphQL errors, by HTTP status
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  422: 'VALIDATION_FAILED'
+};
+
+// Values without a fixed shape: mixed types, free-form objects and filters
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Qualquer valor JSON',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+// JSON integers are not limited to 32 bits like GraphQL Int (timestamps in
+// ms are not) and inferred ones may be followed by decimals, so they are Float
+const SCALARS = {
+  string: GraphQLString,
+  integer: GraphQLFloat,
+  number: GraphQLFloat,
+  boolean: GraphQLBoolean
+};
+
+// Arguments of list queries and the REST query parameter each one becomes
+const LIST_ARGS = {
+  filter: { type: JSONScalar, param: null, description: 'Filtros como na query string, ex.: { "price_gte": 10, "status": "active" }' },
+  where: { type: JSONScalar, param: '_where', description: 'Filtro composto, como em _where' },
+  or: { type: new GraphQLList(JSONScalar), param: '_or', description: 'Filtros alternativos, como em _or' },
+  q: { type: GraphQLString, param: 'q', description: 'Busca textual' },
+  searchFields: { type: GraphQLString, param: '_searchFields', description: 'Campos considerados pela busca' },
+  sort: { type: GraphQLString, param: '_sort', description: 'Campo de ordenação; a direção vem de order' },
+  order: { type: GraphQLString, param: '_order', description: 'asc ou desc' },
+  limit: { type: GraphQLInt, param: '_limit' },
+  offset: { type: GraphQLInt, param: '_offset' },
+  page: { type: GraphQLInt, param: '_page' },
+  perPage: { type: GraphQLInt, param: '_per_page' },
+  includeDeleted: { type: GraphQLBoolean, param: '_includeDeleted', description: 'Incluir itens na lixeira' }
+};
+
+// "products/books" -> ["products", "books"], splitting on anything that
+// cannot be part of a GraphQL name
+function getWords(collection) {
+  return collection.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+}
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+function toName(words, { pascal = false } = {}) {
+  const name = words.map((word, index) => (index === 0 && !pascal ? word.charAt(0).toLowerCase() + word.slice(1) : capitalize(word))).join('');
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+// Type and field names of a collection: "products/books" gives the type
+// ProductsBook, the queries productsBooks and productsBook and the
+// mutations createProductsBook, updateProductsBook and deleteProductsBook
+function getNames(collection) {
+  const words = getWords(collection);
+  const singular = [...words.slice(0, -1), singularize(words[words.length - 1])];
+  const list = toName(words);
+  const item = toName(singular);
+  const type = toName(singular, { pascal: true });
+  return {
+    type,
+    list,
+    item: item === list ? `${item}ById` : item,
+    create: `create${type}`,
+    update: `update${type}`,
+    remove: `delete${type}`
+  };
+}
+
+function getSchemaType(schema) {
+  const types = [].concat(schema.type || []).filter(type => type !== 'null');
+  return types.length === 1 ? types[0] : null;
+}
+
+// GraphQL type of a JSON Schema property; nested objects get their own type
+function toOutputType(schema, name, types) {
+  const type = getSchemaType(schema);
+  if (SCALARS[type]) {
+    return SCALARS[type];
+  }
+  if (type === 'array') {
+    return new GraphQLList(schema.items ? toOutputType(schema.items, name, types) : JSONScalar);
+  }
+  if (type === 'object' && schema.properties) {
+    const fields = getFields(schema, name, types);
+    if (Object.keys(fields).length > 0) {
+      return new GraphQLObjectType({ name: reserveName(types, name), fields });
+    }
+  }
+  return JSONScalar;
+}
+
+// Inputs keep nested objects as JSON, so any shape can be written
+function toInputType(schema) {
+  const type = getSchemaType(schema);
+  if (SCALARS[type]) {
+    return SCALARS[type];
+  }
+  if (type === 'array' && schema.items && SCALARS[getSchemaType(schema.items)]) {
+    return new GraphQLList(SCALARS[getSchemaType(schema.items)]);
+  }
+  return JSONScalar;
+}
+
+function getFields(schema, typeName, types) {
+  const fields = {};
+  for (const [field, property] of Object.entries(schema.properties || {})) {
+    if (NAME_REGEX.test(field) && !field.startsWith('__')) {
+      fields[field] = { type: toOutputType(property, `${typeName}${capitalize(field)}`, types), description: property.description };
+    }
+  }
+  return fields;
+}
+
+// Type names must be unique in a schema: nested types that collide with a
+// collection type (or each other) get a numbered name
+function reserveName(types, name) {
+  let unique = name;
+  for (let index = 2; types.has(unique); index++) {
+    unique = `${name}${index}`;
+  }
+  types.add(unique);
+  return unique;
+}
+
+function toGraphQLError(error, server) {
+  const known = server.describeError(error);
+  if (!known) {
+    console.error('Erro no GraphQL:', error);
+    return new GraphQLError('Erro interno do servidor', { extensions: { code: 'INTERNAL_SERVER_ERROR', status: 500 } });
+  }
+  const extensions = { code: ERROR_CODES[known.status] || 'BAD_REQUEST', status: known.status };
+  if (known.body.errors) {
+    extensions.errors = known.body.errors;
+  }
+  return new GraphQLError(known.body.error, { extensions });
+}
+
+class GraphQLApi {
+  constructor(server) {
+    this.server = server;
+    // Last schema built and the collections/types it was built from
+    this.cache = null;
+  }
+
+  route(collection, id = null) {
+    return { collection, id: id === null ? null : String(id), parents: [], foreignKey: null, parentId: null };
+  }
+
+  // Run a resolver, turning the errors of the REST layer into GraphQL ones
+  async resolve(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      throw toGraphQLError(error, this.server);
+    }
+  }
+
+  async listItems(collection, args) {
+    const { server } = this;
+    if (args.filter !== undefined && args.filter !== null && !isPlainObject(args.filter)) {
+      throw new QueryError('filter deve ser um objeto');
+    }
+    const query = { ...(args.filter || {}) };
+    for (const [name, { param }] of Object.entries(LIST_ARGS)) {
+      if (param && args[name] !== undefined && args[name] !== null) {
+        query[param] = ['where', 'or'].includes(name) ? JSON.stringify(args[name]) : args[name];
+      }
+    }
+
+    const includeDeleted = args.includeDeleted === true;
+    const items = server.authorizeItems(collection, 'GET', await server.listItems(this.route(collection), { includeDeleted }));
+    return applyQuery(items, query, { primaryKey: server.getPrimaryKey(collection) }).items;
+  }
+
+  async getItem(collection, id) {
+    const data = await this.server.getItem(this.route(collection, id));
+    if (data) {
+      this.server.authorize(collection, 'GET', data);
+    }
+    return data;
+  }
+
+  async deleteItem(collection, id) {
+    const route = this.route(collection, id);
+    const data = await this.server.getItem(route);
+    await this.server.deleteItem(route);
+    return data;
+  }
+
+  buildCollection(collection, schema, primaryKey, types) {
+    const names = getNames(collection);
+    const type = new GraphQLObjectType({
+      name: reserveName(types, names.type),
+      description: `Item de ${collection}`,
+      fields: () => ({
+        ...getFields(schema, names.type, types),
+        [primaryKey]: { type: new GraphQLNonNull(GraphQLID) }
+      })
+    });
+
+    const inputFields = {};
+    for (const [field, property] of Object.entries(schema.properties || {})) {
+      if (NAME_REGEX.test(field) && !SYSTEM_FIELDS.includes(field) && !property.readOnly) {
+        inputFields[field] = { type: toInputType(property) };
+      }
+    }
+    // Input objects need at least one field; collections without any take JSON
+    const input = Object.keys(inputFields).length > 0
+      ? new GraphQLInputObjectType({ name: reserveName(types, `${names.type}Input`), fields: inputFields })
+      : JSONScalar;
+    const id = { type: new GraphQLNonNull(GraphQLID) };
+    const data = { type: new GraphQLNonNull(input) };
+
+    const args = {};
+    Object.entries(LIST_ARGS).forEach(([name, { type: argType, description }]) => {
+      args[name] = { type: argType, description };
+    });
+
+    return {
+      query: {
+        [names.list]: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type))),
+          args,
+          resolve: (source, listArgs) => this.resolve(() => this.listItems(collection, listArgs))
+        },
+        [names.item]: {
+          type,
+          args: { id },
+          resolve: (source, { id: itemId }) => this.resolve(() => this.getItem(collection, itemId))
+        }
+      },
+      mutation: {
+        [names.create]: {
+          type: new GraphQLNonNull(type),
+          args: { data },
+          resolve: (source, { data: body }) => this.resolve(() => this.server.createItem(this.route(collection), { ...body }))
+        },
+        [names.update]: {
+          type: new GraphQLNonNull(type),
+          description: 'Atualiza os campos informados (como um PATCH)',
+          args: { id, data },
+          resolve: (source, { id: itemId, data: body }) => {
+            return this.resolve(() => this.server.modifyItem(this.route(collection, itemId), 'PATCH', { ...body }));
+          }
+        },
+        [names.remove]: {
+          type: new GraphQLNonNull(type),
+          args: { id },
+          resolve: (source, { id: itemId }) => this.resolve(() => this.deleteItem(collection, itemId))
+        }
+      }
+    };
+  }
+
+  // Schema for the current collections, rebuilt only when a collection
+  // appears or the shape of its records changes
+  async getSchema() {
+    const { server } = this;
+    const names = [...new Set([...(await server.storage.listCollections()), ...Object.keys(server.schemas)])].sort();
+    const collections = [];
+    for (const name of names) {
+      if (getWords(name).length > 0) {
+        const settings = server.ids.getSettings(name);
+        const schema = describeCollection(await server.storage.list(name), await server.getSchema(name), settings);
+        collections.push({ name, schema, primaryKey: settings.primaryKey });
+      }
+    }
+
+    const signature = JSON.stringify(collections);
+    if (this.cache && this.cache.signature === signature) {
+      return this.cache.schema;
+    }
+
+    const types = new Set(['JSON', 'Query', 'Mutation']);
+    const query = {};
+    const mutation = {};
+    for (const { name, schema, primaryKey } of collections) {
+      const names = getNames(name);
+      // Collections whose names collapse to the same fields keep the first
+      if (query[names.list] || query[names.item] || types.has(names.type)) {
+        continue;
+      }
+      const fields = this.buildCollection(name, schema, primaryKey, types);
+      Object.assign(query, fields.query);
+      Object.assign(mutation, fields.mutation);
+    }
+
+    // A schema needs at least one query field
+    if (Object.keys(query).length === 0) {
+      query._empty = { type: GraphQLBoolean, description: 'Nenhuma coleção disponível', resolve: () => null };
+    }
+
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({ name: 'Query', fields: query }),
+      mutation: Object.keys(mutation).length > 0 ? new GraphQLObjectType({ name: 'Mutation', fields: mutation }) : undefined
+    });
+    this.cache = { signature, schema };
+    return schema;
+  }
+
+  // Run a GraphQL request; returns the HTTP status and body. Requests that
+  // cannot be executed get a 400, mutations sent with GET a 405.
+  async execute({ query, variables, operationName }, { method = 'POST' } = {}) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      return { status: 400, body: { errors: [{ message: 'Informe a consulta GraphQL em "query"' }] } };
+    }
+
+    const schema = await this.getSchema();
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return { status: 400, body: { errors: [error] } };
+    }
+
+    const errors = validate(schema, document);
+    if (errors.length > 0) {
+      return { status: 400, body: { errors } };
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      return { status: 400, body: { errors: [{ message: 'Operação GraphQL não encontrada' }] } };
+    }
+    if (method === 'GET' && operation.operation !== 'query') {
+      return { status: 405, body: { errors: [{ message: 'Mutações devem ser enviadas com POST' }] }, headers: { Allow: 'POST' } };
+    }
+
+    let variableValues = variables;
+    if (typeof variables === 'string') {
+      try {
+        variableValues = JSON.parse(variables);
+      } catch (error) {
+        return { status: 400, body: { errors: [{ message: 'JSON inválido em variables' }] } };
+      }
+    }
+
+    const result = await execute({ schema, document, variableValues, operationName });
+    return { status: 200, body: result };
+  }
+}
+
+module.exports = {
+  GraphQLApi,
+  getNames
+};
@@ -0,0 +1,83 @@
+// Revision history of records, kept by the same storage adapter as the
+// records themselves under the internal "_history/<collection>" collection:
+// one document per record holding its latest revisions.
+//
+// Every mutation adds a revision with the state it left the record in (null
+// after a removal) plus the request that caused it, so a bad edit can be
+// traced back and undone.
+
+class HistoryStore {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    // Revisions kept per record - 0 disables the history
+    this.limit = options.limit === undefined ? 10 : options.limit;
+    // Pending read-modify-write of each history document, by record
+    this.queues = new Map();
+  }
+
+  get enabled() {
+    return this.limit > 0;
+  }
+
+  getCollection(collection) {
+    return `_history/${collection}`;
+  }
+
+  // Run `fn` once the previous operations on the same record are done, so
+  // concurrent mutations never lose a revision or repeat a rev number
+  enqueue(collection, id, fn) {
+    const key = `${collection}\u0000${id}`;
+    const run = (this.queues.get(key) || Promise.resolve()).then(fn);
+    // Keep the chain alive even if this operation fails
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    });
+    return run;
+  }
+
+  async record(collection, id, action, data, request = null) {
+    if (!this.enabled) {
+      return null;
+    }
+    return this.enqueue(collection, id, () => this.append(collection, id, action, data, request));
+  }
+
+  async append(collection, id, action, data, request) {
+    const historyCollection = this.getCollection(collection);
+    const document = (await this.storage.get(historyCollection, id)) || { id, revisions: [] };
+    const last = document.revisions[document.revisions.length - 1];
+
+    const revision = {
+      rev: last ? last.rev + 1 : 1,
+      action,
+      timestamp: new Date().toISOString(),
+      request,
+      data
+    };
+    document.revisions = [...document.revisions, revision].slice(-this.limit);
+
+    await this.storage.write(historyCollection, id, document);
+    return revision;
+  }
+
+  // Revisions of a record, newest first
+  async list(collection, id) {
+    const document = await this.storage.get(this.getCollection(collection), id);
+    return document ? [...document.revisions].reverse() : [];
+  }
+
+  async get(collection, id, rev) {
+    const revisions = await this.list(collection, id);
+    return revisions.find(revision => revision.rev === rev) || null;
+  }
+
+  async remove(collection, id) {
+    return this.enqueue(collection, id, () => this.storage.remove(this.getCollection(collection), id));
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,179 @@
+// Record ids: how new ones are made and which path segments name a record,
+// per collection. The `ids` server option takes a strategy for every
+// collection or an object keyed by collection ("*" for the others):
+//
+//   ids: 'increment'
+//   ids: {
+//     '*': 'uuid',
+//     users: 'increment',
+//     orders: { strategy: 'nanoid', size: 12 },
+//     legacy: { strategy: 'client', primaryKey: '_id' }
+//   }
+//
+// Strategies: "uuid" (default), "increment" (1, 2, 3...), "ulid", "nanoid"
+// and "client" (the request body brings a unique id). Subcollections use the
+// settings of their parent. Internal collections always use UUIDs in "id".
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('./schema');
+const { INTERNAL_COLLECTIONS } = require('./storage/adapter');
+
+const STRATEGIES = ['uuid', 'increment', 'ulid', 'nanoid', 'client'];
+const DEFAULT_NANOID_SIZE = 21;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INTEGER_REGEX = /^\d+$/;
+const ULID_REGEX = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+
+// Crockford base32 for ULIDs, the URL-safe alphabet of nanoid
+const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_-';
+
+// 48-bit timestamp then 80 random bits, so ULIDs sort by creation time
+function ulid(time = Date.now()) {
+  let timePart = '';
+  for (let i = 0; i < 10; i++) {
+    timePart = CROCKFORD[time % 32] + timePart;
+    time = Math.floor(time / 32);
+  }
+  const randomPart = [...crypto.randomBytes(16)].map(byte => CROCKFORD[byte % 32]).join('');
+  return timePart + randomPart;
+}
+
+// 64 symbols, so every random byte maps to one without bias
+function nanoid(size = DEFAULT_NANOID_SIZE) {
+  return [...crypto.randomBytes(size)].map(byte => URL_ALPHABET[byte % 64]).join('');
+}
+
+// Ids end up in file names and URLs: text without slashes or an integer
+function isValidId(id) {
+  return (typeof id === 'string' && id !== '' && !/[/\\?#]|^\.+$/.test(id)) || Number.isInteger(id);
+}
+
+function isInternal(collection) {
+  return INTERNAL_COLLECTIONS.includes(collection.split('/')[0]);
+}
+
+class IdManager {
+  constructor(ids = 'uuid', { primaryKey = 'id' } = {}) {
+    this.defaults = this.parseSettings('*', { strategy: 'uuid', primaryKey }, { strategy: 'uuid', primaryKey: 'id' });
+    this.settings = new Map();
+    // Last id handed out per "increment" collection
+    this.counters = new Map();
+
+    const entries = typeof ids === 'string' ? { '*': ids } : (ids || {});
+    // "*" first, so the other entries inherit its primary key
+    if (entries['*'] !== undefined) {
+      this.defaults = this.parseSettings('*', entries['*'], this.defaults);
+    }
+    for (const [collection, value] of Object.entries(entries)) {
+      if (collection !== '*') {
+        this.settings.set(collection.replace(/^\/+|\/+$/g, ''), this.parseSettings(collection, value, this.defaults));
+      }
+    }
+  }
+
+  parseSettings(collection, value, defaults) {
+    const settings = typeof value === 'string' ? { strategy: value } : { ...value };
+    const parsed = {
+      strategy: settings.strategy || defaults.strategy,
+      primaryKey: settings.primaryKey || defaults.primaryKey,
+      size: settings.size !== undefined ? Number(settings.size) : (defaults.size || DEFAULT_NANOID_SIZE)
+    };
+
+    if (!STRATEGIES.includes(parsed.strategy)) {
+      throw new Error(`Estratégia de id inválida (${collection}): ${parsed.strategy}. Use uma de: ${STRATEGIES.join(', ')}`);
+    }
+    if (typeof parsed.primaryKey !== 'string' || !/^[A-Za-z_]\w*$/.test(parsed.primaryKey)) {
+      throw new Error(`Chave primária inválida (${collection}): ${parsed.primaryKey}`);
+    }
+    if (!Number.isInteger(parsed.size) || parsed.size < 8) {
+      throw new Error(`Tamanho de nanoid inválido (${collection}): ${settings.size}`);
+    }
+    return parsed;
+  }
+
+  // Settings of a collection, falling back to its parents and then to "*"
+  getSettings(collection) {
+    if (isInternal(collection)) {
+      return { strategy: 'uuid', primaryKey: 'id', size: DEFAULT_NANOID_SIZE };
+    }
+    const parts = collection.split('/');
+    for (let length = parts.length; length > 0; length--) {
+      const settings = this.settings.get(parts.slice(0, length).join('/'));
+      if (settings) return settings;
+    }
+    return this.defaults;
+  }
+
+  getPrimaryKey(collection) {
+    return this.getSettings(collection).primaryKey;
+  }
+
+  // Whether a path segment after the collection is one of its ids. Client
+  // ids can be anything, so every segment after those collections is one.
+  matches(collection, segment) {
+    const { strategy, size } = this.getSettings(collection);
+    switch (strategy) {
+      case 'increment':
+        return INTEGER_REGEX.test(segment);
+      case 'ulid':
+        return ULID_REGEX.test(segment);
+      case 'nanoid':
+        return segment.length === size && /^[\w-]+$/.test(segment);
+      case 'client':
+        return true;
+      default:
+        return UUID_REGEX.test(segment);
+    }
+  }
+
+  // Id chosen by the client in a URL (PUT upserts): it must look like the
+  // ids of the collection. "increment" ids are stored as numbers.
+  parse(collection, segment) {
+    const { strategy, primaryKey } = this.getSettings(collection);
+    if (!isValidId(segment) || !this.matches(collection, segment)) {
+      throw new ValidationError([{ field: primaryKey, message: `não é um id válido para a estratégia ${strategy}` }]);
+    }
+    return strategy === 'increment' ? Number(segment) : segment;
+  }
+
+  // Id of a new record: generated, or taken from the body for "client"
+  // collections. `storage` is needed to continue the "increment" sequence.
+  async generate(collection, storage, requestedId) {
+    const { strategy, primaryKey, size } = this.getSettings(collection);
+
+    if (strategy === 'client') {
+      if (requestedId === undefined || requestedId === null || requestedId === '') {
+        throw new ValidationError([{ field: primaryKey, message: 'é obrigatório' }]);
+      }
+      if (!isValidId(requestedId)) {
+        throw new ValidationError([{ field: primaryKey, message: 'deve ser um texto sem barras ou um número inteiro' }]);
+      }
+      return requestedId;
+    }
+    if (strategy === 'increment') {
+      // Records imported or restored meanwhile may hold higher ids
+      const highest = (await storage.list(collection))
+        .map(record => record[primaryKey])
+        .filter(id => INTEGER_REGEX.test(String(id)))
+        .reduce((max, id) => Math.max(max, Number(id)), 0);
+      const next = Math.max(this.counters.get(collection) || 0, highest) + 1;
+      this.counters.set(collection, next);
+      return next;
+    }
+    if (strategy === 'ulid') return ulid();
+    if (strategy === 'nanoid') return nanoid(size);
+    return uuidv4();
+  }
+}
+
+module.exports = {
+  IdManager,
+  STRATEGIES,
+  UUID_REGEX,
+  isValidId,
+  ulid,
+  nanoid
+};
@@ -1,5 +1,11 @@
 // Export the server classes and functions for library usage
 const { GenericRestServer, startServer } = require('./server');
+const {
+  StorageAdapter,
+  FileSystemStorage,
+  MemoryStorage,
+  JsonFileStorage
+} = require('./storage');
 
 // For backward compatibility - start server if this file is run directly
 if (require.main === module) {
@@ -22,5 +28,9 @@ if (require.main === module) {
 
 module.exports = {
   GenericRestServer,
-  startServer
+  startServer,
+  StorageAdapter,
+  FileSystemStorage,
+  MemoryStorage,
+  JsonFileStorage
 };
@@ -0,0 +1,485 @@
+// OpenAPI 3.1 description of the API, served at /_openapi.json and shown by
+// the /_docs page. Collections with a declared schema (the `schemas` option
+// or a _schema.json file) are described by it; the others get a schema
+// inferred from a sample of their records.
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Records looked at to infer a schema, and how deep nested objects go
+const SAMPLE_SIZE = 100;
+const MAX_DEPTH = 5;
+
+const SYSTEM_PROPERTIES = {
+  createdAt: { type: 'string', format: 'date-time', readOnly: true },
+  updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+};
+
+// Primary key of each ID strategy (see ids.js)
+const ID_PROPERTIES = {
+  uuid: { type: 'string', format: 'uuid' },
+  increment: { type: 'integer' },
+  ulid: { type: 'string' },
+  nanoid: { type: 'string' },
+  client: { type: ['integer', 'string'] }
+};
+
+// Query parameters of collection listings (see query.js, projection.js
+// and relations.js)
+const LIST_PARAMETERS = {
+  sort: { name: '_sort', description: 'Campo de ordenação (ex.: price ou author.name); a direção vem de _order' },
+  order: { name: '_order', description: 'Direção da ordenação', schema: { type: 'string', enum: ['asc', 'desc'] } },
+  limit: { name: '_limit', description: 'Máximo de itens', schema: { type: 'integer', minimum: 0 } },
+  offset: { name: '_offset', description: 'Itens a pular', schema: { type: 'integer', minimum: 0 } },
+  page: { name: '_page', description: 'Página (começa em 1)', schema: { type: 'integer', minimum: 1 } },
+  perPage: { name: '_per_page', description: 'Itens por página', schema: { type: 'integer', minimum: 1 } },
+  cursor: { name: '_cursor', description: 'Cursor devolvido no cabeçalho Link' },
+  after: { name: '_after', description: 'Sinônimo de _cursor' },
+  search: { name: 'q', description: 'Busca textual em todos os campos' },
+  searchFields: { name: '_searchFields', description: 'Campos considerados pela busca' },
+  where: { name: '_where', description: 'Filtro composto em JSON, ex.: {"price":{"gte":10}}' },
+  or: { name: '_or', description: 'Lista JSON de filtros alternativos' },
+  fields: { name: '_fields', description: 'Campos a devolver' },
+  exclude: { name: '_exclude', description: 'Campos a omitir' },
+  expand: { name: '_expand', description: 'Relações pai a incluir (ex.: user)' },
+  embed: { name: '_embed', description: 'Relações filhas a incluir (ex.: comments)' },
+  envelope: { name: '_envelope', description: 'Devolver { data, meta } em vez de uma lista', schema: { type: 'boolean' } }
+};
+
+const FILTER_DESCRIPTION = 'Filtro exato; aceita operadores como sufixo (_gte, _lte, _ne, _like, _in...)';
+
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Schema describing every sampled value of one location
+function inferSchema(values, depth = 0) {
+  const types = [...new Set(values.map(getType))];
+  if (types.includes('integer') && types.includes('number')) {
+    types.splice(types.indexOf('integer'), 1);
+  }
+  const schema = types.length === 1 ? { type: types[0] } : { type: types.sort() };
+
+  const strings = values.filter(value => typeof value === 'string');
+  if (types.length === 1 && strings.length > 0) {
+    if (strings.every(value => UUID_REGEX.test(value))) schema.format = 'uuid';
+    else if (strings.every(value => DATE_TIME_REGEX.test(value))) schema.format = 'date-time';
+  }
+
+  const objects = values.filter(value => getType(value) === 'object');
+  if (objects.length > 0 && depth < MAX_DEPTH) {
+    const keys = [...new Set(objects.flatMap(Object.keys))];
+    schema.properties = {};
+    keys.forEach(key => {
+      const samples = objects.filter(item => item[key] !== undefined).map(item => item[key]);
+      schema.properties[key] = inferSchema(samples, depth + 1);
+    });
+    const required = keys.filter(key => objects.every(item => item[key] !== undefined));
+    if (required.length > 0) schema.required = required;
+  }
+
+  const items = values.filter(Array.isArray).flat();
+  if (types.includes('array') && items.length > 0) {
+    schema.items = inferSchema(items, depth + 1);
+  }
+  return schema;
+}
+
+// Schema of a collection: the declared one or one inferred from its
+// records, with the server-managed fields marked read-only. Clients send
+// the primary key only with the "client" ID strategy.
+function describeCollection(records, declared, { primaryKey = 'id', strategy = 'uuid' } = {}) {
+  const schema = declared
+    ? JSON.parse(JSON.stringify(declared))
+    : (records.length > 0 ? inferSchema(records.slice(0, SAMPLE_SIZE)) : { type: 'object' });
+
+  schema.type = schema.type || 'object';
+  schema.properties = schema.properties || {};
+
+  // Imported records may have ids of another format
+  const current = schema.properties[primaryKey];
+  const id = ID_PROPERTIES[strategy];
+  schema.properties[primaryKey] = current && (current.type !== id.type || current.format !== id.format)
+    ? { ...current }
+    : { ...id };
+  if (strategy !== 'client') {
+    schema.properties[primaryKey].readOnly = true;
+  }
+
+  for (const [field, property] of Object.entries(SYSTEM_PROPERTIES)) {
+    const current = schema.properties[field];
+    schema.properties[field] = current && current.format !== property.format
+      ? { ...current, readOnly: true }
+      : { ...property };
+  }
+  return schema;
+}
+
+function getSchemaName(collection) {
+  return collection.split('/').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('').replace(/[^\w.-]/g, '_');
+}
+
+const ref = name => ({ $ref: `#/components/${name}` });
+const jsonContent = schema => ({ 'application/json': { schema } });
+
+function listOperation(collection, schemaRef, schema, softDelete) {
+  const parameters = Object.keys(LIST_PARAMETERS).map(name => ref(`parameters/${name}`));
+  if (softDelete) {
+    parameters.push(ref('parameters/includeDeleted'));
+  }
+  // One filter per top-level field
+  Object.keys(schema.properties || {}).forEach(field => {
+    parameters.push({ name: field, in: 'query', required: false, description: FILTER_DESCRIPTION, schema: { type: 'string' } });
+  });
+
+  return {
+    tags: [collection],
+    summary: `Listar ${collection}`,
+    operationId: `list${getSchemaName(collection)}`,
+    parameters,
+    responses: {
+      200: {
+        description: 'Itens da coleção',
+        headers: {
+          'X-Total-Count': { description: 'Total de itens antes da paginação', schema: { type: 'integer' } },
+          Link: { description: 'Links de paginação (RFC 8288)', schema: { type: 'string' } }
+        },
+        content: jsonContent({ type: 'array', items: schemaRef })
+      },
+      400: ref('responses/BadRequest')
+    }
+  };
+}
+
+function collectionPaths(collection, schema, { softDelete, upsert }) {
+  const name = getSchemaName(collection);
+  const schemaRef = ref(`schemas/${name}`);
+  const tags = [collection];
+  const filterParameters = Object.keys(schema.properties || {}).map(field => ({
+    name: field, in: 'query', required: false, description: FILTER_DESCRIPTION, schema: { type: 'string' }
+  }));
+  const itemResponse = description => ({
+    description,
+    headers: { ETag: ref('headers/ETag') },
+    content: jsonContent(schemaRef)
+  });
+  // PUT on a missing record creates it when upserts are on
+  const upsertResponses = {
+    201: {
+      ...itemResponse('Item criado com o id da URL'),
+      headers: { ETag: ref('headers/ETag'), Location: { description: 'URL do item', schema: { type: 'string' } } }
+    },
+    409: { description: 'O id pertence a um item na lixeira ou de outro pai', content: jsonContent(ref('schemas/Error')) }
+  };
+  const patchContent = {
+    'application/json': { schema: { type: 'object' } },
+    'application/merge-patch+json': { schema: { type: 'object' } },
+    'application/json-patch+json': { schema: ref('schemas/JsonPatch') }
+  };
+
+  return {
+    [`/${collection}`]: {
+      get: listOperation(collection, schemaRef, schema, softDelete),
+      post: {
+        tags,
+        summary: `Criar item em ${collection} (ou vários, com uma lista)`,
+        operationId: `create${name}`,
+        requestBody: {
+          required: true,
+          content: jsonContent({ oneOf: [schemaRef, { type: 'array', items: schemaRef }] })
+        },
+        responses: {
+          201: itemResponse('Item criado'),
+          207: { description: 'Criação em lote com erros', content: jsonContent(ref('schemas/BulkResult')) },
+          400: ref('responses/BadRequest'),
+          422: ref('responses/ValidationFailed')
+        }
+      },
+      patch: {
+        tags,
+        summary: `Atualizar os itens de ${collection} que atendem aos filtros`,
+        operationId: `update${name}Where`,
+        parameters: filterParameters,
+        requestBody: { required: true, content: patchContent },
+        responses: {
+          200: { description: 'Itens atualizados', content: jsonContent(ref('schemas/BulkResult')) },
+          207: { description: 'Atualização com erros', content: jsonContent(ref('schemas/BulkResult')) }
+        }
+      },
+      delete: {
+        tags,
+        summary: `Remover os itens de ${collection} que atendem aos filtros`,
+        operationId: `delete${name}Where`,
+        parameters: filterParameters,
+        responses: { 200: { description: 'Itens removidos', content: jsonContent(ref('schemas/Message')) } }
+      }
+    },
+    [`/${collection}/{id}`]: {
+      parameters: [ref('parameters/id')],
+      get: {
+        tags,
+        summary: `Obter item de ${collection}`,
+        operationId: `get${name}`,
+        parameters: [ref('parameters/ifNoneMatch')],
+        responses: {
+          200: itemResponse('Item'),
+          304: { description: 'Item não modificado' },
+          404: ref('responses/NotFound')
+        }
+      },
+      put: {
+        tags,
+        summary: upsert ? `Substituir ou criar item de ${collection}` : `Substituir item de ${collection}`,
+        operationId: `replace${name}`,
+        parameters: [ref('parameters/ifMatch'), ref('parameters/ifNoneMatch')],
+        requestBody: { required: true, content: jsonContent(schemaRef) },
+        responses: {
+          200: itemResponse('Item atualizado'),
+          ...(upsert ? upsertResponses : { 404: ref('responses/NotFound') }),
+          412: ref('responses/PreconditionFailed'),
+          422: ref('responses/ValidationFailed')
+        }
+      },
+      patch: {
+        tags,
+        summary: `Atualizar parte de um item de ${collection}`,
+        operationId: `patch${name}`,
+        parameters: [ref('parameters/ifMatch')],
+        requestBody: { required: true, content: patchContent },
+        responses: {
+          200: itemResponse('Item atualizado'),
+          404: ref('responses/NotFound'),
+          412: ref('responses/PreconditionFailed'),
+          422: ref('responses/ValidationFailed')
+        }
+      },
+      delete: {
+        tags,
+        summary: `Remover item de ${collection}`,
+        operationId: `delete${name}`,
+        parameters: [ref('parameters/ifMatch')],
+        responses: {
+          200: { description: 'Item removido', content: jsonContent(ref('schemas/Message')) },
+          404: ref('responses/NotFound'),
+          412: ref('responses/PreconditionFailed')
+        }
+      }
+    }
+  };
+}
+
+function systemPaths(auth) {
+  const paths = {
+    '/_batch': {
+      post: {
+        tags: ['_sistema'],
+        summary: 'Executar várias operações em uma requisição',
+        operationId: 'batch',
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['method', 'path'],
+              properties: {
+                method: { type: 'string', enum: ['POST', 'PUT', 'PATCH', 'DELETE'] },
+                path: { type: 'string' },
+                body: {},
+                headers: { type: 'object', additionalProperties: { type: 'string' } }
+              }
+            }
+          })
+        },
+        responses: { 200: { description: 'Resultado de cada operação' } }
+      }
+    },
+    '/_events': {
+      get: {
+        tags: ['_sistema'],
+        summary: 'Feed de alterações (Server-Sent Events ou WebSocket)',
+        operationId: 'events',
+        parameters: [
+          { name: 'collection', in: 'query', description: 'Coleções observadas', schema: { type: 'string' } },
+          { name: 'type', in: 'query', description: 'Tipos de evento (create, update, delete)', schema: { type: 'string' } }
+        ],
+        responses: { 200: { description: 'Fluxo de eventos', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+      }
+    }
+  };
+
+  if (auth) {
+    const credentials = {
+      type: 'object',
+      required: ['password'],
+      properties: { email: { type: 'string' }, username: { type: 'string' }, password: { type: 'string', writeOnly: true } }
+    };
+    const session = { description: 'Token de acesso', content: jsonContent(ref('schemas/Session')) };
+    paths['/_auth/register'] = {
+      post: {
+        tags: ['_auth'],
+        summary: 'Criar conta',
+        operationId: 'register',
+        security: [],
+        requestBody: { required: true, content: jsonContent(credentials) },
+        responses: { 201: session, 409: ref('responses/Conflict'), 422: ref('responses/ValidationFailed') }
+      }
+    };
+    paths['/_auth/login'] = {
+      post: {
+        tags: ['_auth'],
+        summary: 'Entrar',
+        operationId: 'login',
+        security: [],
+        requestBody: { required: true, content: jsonContent(credentials) },
+        responses: { 200: session, 401: ref('responses/Unauthorized') }
+      }
+    };
+    paths['/_auth/me'] = {
+      get: {
+        tags: ['_auth'],
+        summary: 'Conta da requisição',
+        operationId: 'me',
+        responses: { 200: { description: 'Conta' }, 401: ref('responses/Unauthorized') }
+      }
+    };
+  }
+  return paths;
+}
+
+function components(schemas, { auth, softDelete }) {
+  const errorSchema = ref('schemas/Error');
+  const errorResponse = description => ({ description, content: jsonContent(errorSchema) });
+  const parameters = {
+    id: { name: 'id', in: 'path', required: true, description: 'Id do item (ou <id>.json)', schema: { type: 'string' } },
+    ifMatch: { name: 'If-Match', in: 'header', required: false, description: 'ETag esperado do item', schema: { type: 'string' } },
+    ifNoneMatch: { name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' } }
+  };
+  Object.entries(LIST_PARAMETERS).forEach(([key, parameter]) => {
+    parameters[key] = { in: 'query', required: false, schema: { type: 'string' }, ...parameter };
+  });
+  if (softDelete) {
+    parameters.includeDeleted = {
+      name: '_includeDeleted', in: 'query', required: false, description: 'Incluir itens na lixeira', schema: { type: 'boolean' }
+    };
+  }
+
+  const result = {
+    schemas: {
+      ...schemas,
+      Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+          }
+        }
+      },
+      Message: { type: 'object', properties: { message: { type: 'string' } } },
+      BulkResult: { type: 'object', properties: { errors: { type: 'array', items: { type: 'object' } } } },
+      JsonPatch: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['op', 'path'],
+          properties: {
+            op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+            path: { type: 'string' },
+            from: { type: 'string' },
+            value: {}
+          }
+        }
+      }
+    },
+    parameters,
+    headers: { ETag: { description: 'Versão do item', schema: { type: 'string' } } },
+    responses: {
+      BadRequest: errorResponse('Requisição inválida'),
+      NotFound: errorResponse('Item não encontrado'),
+      Conflict: errorResponse('Conflito'),
+      PreconditionFailed: errorResponse('Pré-condição falhou: o item foi modificado'),
+      ValidationFailed: { description: 'Falha de validação', content: jsonContent(ref('schemas/ValidationError')) }
+    }
+  };
+
+  if (auth) {
+    result.schemas.Session = {
+      type: 'object',
+      properties: {
+        accessToken: { type: 'string' },
+        tokenType: { type: 'string', const: 'Bearer' },
+        expiresIn: { type: 'integer' },
+        user: { type: 'object' }
+      }
+    };
+    result.responses.Unauthorized = errorResponse('Autenticação necessária');
+    result.responses.Forbidden = errorResponse('Acesso negado');
+    result.securitySchemes = {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    };
+  }
+  return result;
+}
+
+// `collections` is a list of { name, records, schema, primaryKey, strategy }
+// with the declared schema (or null), the records and the ID settings of
+// each collection
+function buildDocument({ title, version, serverUrl, collections, auth = false, softDelete = () => false, upsert = () => false }) {
+  const schemas = {};
+  const paths = {};
+
+  for (const { name, records, schema, primaryKey, strategy } of collections) {
+    const described = describeCollection(records, schema, { primaryKey, strategy });
+    schemas[getSchemaName(name)] = described;
+    Object.assign(paths, collectionPaths(name, described, { softDelete: softDelete(name), upsert: upsert(name) }));
+  }
+  Object.assign(paths, systemPaths(auth));
+
+  const document = {
+    openapi: '3.1.0',
+    info: { title, version },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    tags: collections.map(({ name }) => ({ name })),
+    paths,
+    components: components(schemas, { auth, softDelete: collections.some(({ name }) => softDelete(name)) })
+  };
+  if (auth) {
+    document.security = [{ bearerAuth: [] }, { apiKey: [] }, {}];
+  }
+  return document;
+}
+
+// Interactive page for /_docs, using the Swagger UI assets served next to it
+function renderDocsPage(title, specUrl) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+  <head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="./swagger-ui.css">
+    <link rel="icon" type="image/png" href="./favicon-32x32.png" sizes="32x32">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="./swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+    </script>
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  inferSchema,
+  describeCollection,
+  buildDocument,
+  renderDocsPage
+};
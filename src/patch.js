@@ -0,0 +1,206 @@
+// Patch helpers used by the PATCH route:
+// - RFC 7396 JSON Merge Patch (application/json, application/merge-patch+json)
+// - RFC 6902 JSON Patch (application/json-patch+json)
+
+class PatchError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'PatchError';
+    this.status = status;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  if (aKeys.length !== bKeys.length) return false;
+  return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+// RFC 7396: objects are merged recursively, null removes a key and any other
+// value (including arrays) replaces the target value
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+// Split an RFC 6901 JSON Pointer into its unescaped tokens
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new PatchError(`Ponteiro JSON inválido: ${pointer}`);
+  }
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getArrayIndex(array, token, allowEnd) {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new PatchError(`Índice de array inválido: ${token}`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new PatchError(`Índice de array fora dos limites: ${token}`);
+  }
+  return index;
+}
+
+// Resolve the parent container of a pointer, returning it with the last token
+function resolveParent(document, tokens, pointer) {
+  let current = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(current)) {
+      current = current[getArrayIndex(current, token, false)];
+    } else if (isPlainObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      throw new PatchError(`Caminho não encontrado: ${pointer}`);
+    }
+  }
+  if (current === null || typeof current !== 'object') {
+    throw new PatchError(`Caminho não encontrado: ${pointer}`);
+  }
+  return { parent: current, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return document;
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    return parent[getArrayIndex(parent, key, false)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new PatchError(`Caminho não encontrado: ${pointer}`);
+  }
+  return parent[key];
+}
+
+function addValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return value;
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(getArrayIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function removeValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new PatchError('Não é possível remover o documento inteiro');
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(getArrayIndex(parent, key, false), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+    delete parent[key];
+  } else {
+    throw new PatchError(`Caminho não encontrado: ${pointer}`);
+  }
+  return document;
+}
+
+// RFC 6902: apply the operations in order to a copy of the document. The
+// whole patch fails atomically - a failed "test" raises a 409 and any other
+// invalid operation a 422.
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('JSON Patch deve ser um array de operações');
+  }
+
+  let result = clone(document);
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation) || typeof operation.path !== 'string') {
+      throw new PatchError(`Operação ${index} inválida`);
+    }
+
+    const { op, path: pointer, from } = operation;
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    if (needsValue && !('value' in operation)) {
+      throw new PatchError(`Operação ${index} (${op}) requer "value"`);
+    }
+    if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+      throw new PatchError(`Operação ${index} (${op}) requer "from"`);
+    }
+
+    switch (op) {
+      case 'add':
+        result = addValue(result, pointer, clone(operation.value));
+        break;
+      case 'remove':
+        result = removeValue(result, pointer);
+        break;
+      case 'replace':
+        getValue(result, pointer);
+        result = parsePointer(pointer).length === 0
+          ? clone(operation.value)
+          : addValue(removeValue(result, pointer), pointer, clone(operation.value));
+        break;
+      case 'move': {
+        if (pointer.startsWith(`${from}/`)) {
+          throw new PatchError(`Operação ${index}: não é possível mover para dentro de si mesmo`);
+        }
+        const value = getValue(result, from);
+        result = addValue(removeValue(result, from), pointer, value);
+        break;
+      }
+      case 'copy':
+        result = addValue(result, pointer, clone(getValue(result, from)));
+        break;
+      case 'test': {
+        let current;
+        try {
+          current = getValue(result, pointer);
+        } catch (error) {
+          throw new PatchError(`Teste falhou em ${pointer}`, 409);
+        }
+        if (!deepEqual(current, operation.value)) {
+          throw new PatchError(`Teste falhou em ${pointer}`, 409);
+        }
+        break;
+      }
+      default:
+        throw new PatchError(`Operação ${index} desconhecida: ${op}`);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch,
+  deepEqual,
+  isPlainObject
+};
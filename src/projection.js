@@ -0,0 +1,107 @@
+// Response shaping with ?_fields= (projection) and ?_exclude= (exclusion).
+// Both accept comma-separated dot-paths into nested objects; arrays along a
+// path are traversed element by element.
+
+const { getRelationPaths } = require('./relations');
+
+function parseFields(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(item => item && !/(^|\.)(__proto__|constructor|prototype)(\.|$)/.test(item));
+}
+
+function hasProjection(query) {
+  return parseFields(query._fields).length > 0 || parseFields(query._exclude).length > 0;
+}
+
+// Turn ["id", "address.city"] into { id: true, address: { city: true } }
+function buildTree(paths) {
+  const tree = Object.create(null);
+  for (const fieldPath of paths) {
+    const keys = fieldPath.split('.');
+    let node = tree;
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      if (node[key] === true) break;
+      if (i === keys.length - 1) {
+        node[key] = true;
+      } else {
+        node[key] = node[key] || Object.create(null);
+        node = node[key];
+      }
+    }
+  }
+  return tree;
+}
+
+function pick(value, tree) {
+  if (tree === true) return value;
+  if (Array.isArray(value)) return value.map(item => pick(item, tree));
+  if (value === null || typeof value !== 'object') return undefined;
+
+  const result = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (value[key] === undefined) continue;
+    const picked = pick(value[key], subtree);
+    if (picked !== undefined) result[key] = picked;
+  }
+  return result;
+}
+
+function omit(value, tree) {
+  if (Array.isArray(value)) return value.map(item => omit(item, tree));
+  if (value === null || typeof value !== 'object') return value;
+
+  const result = { ...value };
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (!(key in result)) continue;
+    if (subtree === true) {
+      delete result[key];
+    } else {
+      result[key] = omit(result[key], subtree);
+    }
+  }
+  return result;
+}
+
+// Shape one resolved item. Expanded/embedded relations are kept unless
+// _fields mentions them, and plain _exclude names (e.g. "password") are
+// also stripped from the related records.
+function projectItem(item, query) {
+  const fields = parseFields(query._fields);
+  const excluded = parseFields(query._exclude);
+  const relationPaths = getRelationPaths(query);
+  let result = item;
+
+  if (fields.length > 0) {
+    const tree = buildTree(fields);
+    for (const relation of relationPaths.filter(relationPath => !relationPath.includes('.'))) {
+      if (!(relation in tree)) tree[relation] = true;
+    }
+    result = pick(result, tree);
+  }
+
+  if (excluded.length > 0) {
+    const paths = [...excluded];
+    for (const name of excluded.filter(field => !field.includes('.'))) {
+      relationPaths.forEach(relationPath => paths.push(`${relationPath}.${name}`));
+    }
+    result = omit(result, buildTree(paths));
+  }
+
+  return result;
+}
+
+function applyProjection(items, query) {
+  if (!hasProjection(query)) return items;
+  return items.map(item => projectItem(item, query));
+}
+
+module.exports = {
+  hasProjection,
+  projectItem,
+  applyProjection
+};
@@ -0,0 +1,564 @@
+// Collection query pipeline used by the GET route: filtering, full-text
+// search, sorting and pagination over the list of items
+
+const { isPlainObject } = require('./patch');
+
+// Query parameters that control the response instead of filtering items
+const RESERVED_PARAMS = [
+  '_limit', '_offset', '_page', '_per_page', '_cursor', '_after', '_envelope',
+  '_sort', '_order', '_expand', '_embed', '_fields', '_exclude', 'q', '_searchFields',
+  '_includeDeleted', '_purge'
+];
+
+const DEFAULT_PAGE_SIZE = 10;
+
+class QueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = status;
+  }
+}
+
+// Read a dot-path (e.g. "address.city") from an item
+function getPath(item, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => {
+    return value !== null && typeof value === 'object' ? value[key] : undefined;
+  }, item);
+}
+
+// Operators accepted as a field suffix (price_gte=10), as a nested query
+// object (price[gte]=10) or as keys of a _where / _or JSON filter
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'contains', 'null', 'regex', 'like'];
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(value)) {
+    return Number(value);
+  }
+  return null;
+}
+
+function toTimestamp(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const timestamp = Date.parse(value);
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+// Bring an item value and a filter value to the same type: numbers and
+// dates compare as such, anything else as case-insensitive text
+function toComparable(itemValue, filterValue) {
+  const itemNumber = toNumber(itemValue);
+  const filterNumber = toNumber(filterValue);
+  if (itemNumber !== null && filterNumber !== null) return [itemNumber, filterNumber];
+
+  const itemDate = toTimestamp(itemValue);
+  const filterDate = toTimestamp(filterValue);
+  if (itemDate !== null && filterDate !== null) return [itemDate, filterDate];
+
+  return [String(itemValue).toLowerCase(), String(filterValue).toLowerCase()];
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function equals(itemValue, filterValue) {
+  if (filterValue === null) return isMissing(itemValue);
+  if (itemValue === undefined) return false;
+  if (Array.isArray(itemValue)) {
+    return Array.isArray(filterValue)
+      ? JSON.stringify(itemValue) === JSON.stringify(filterValue)
+      : itemValue.some(element => equals(element, filterValue));
+  }
+  const [a, b] = toComparable(itemValue, filterValue);
+  return a === b;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim());
+}
+
+function toRegExp(pattern, flags) {
+  const source = String(pattern);
+  const literal = source.match(/^\/(.*)\/([gimsuy]*)$/);
+  try {
+    return literal ? new RegExp(literal[1], literal[2].replace('g', '')) : new RegExp(source, flags);
+  } catch (error) {
+    throw new QueryError(`Expressão regular inválida: ${source}`);
+  }
+}
+
+function compare(itemValue, filterValue, test) {
+  if (isMissing(itemValue)) return false;
+  const [a, b] = toComparable(itemValue, filterValue);
+  return test(a, b);
+}
+
+// Evaluate one operator against the value found in the item
+function matchOperator(itemValue, operator, filterValue) {
+  switch (operator) {
+    case 'eq':
+      return equals(itemValue, filterValue);
+    case 'ne':
+      return !equals(itemValue, filterValue);
+    case 'gt':
+      return compare(itemValue, filterValue, (a, b) => a > b);
+    case 'gte':
+      return compare(itemValue, filterValue, (a, b) => a >= b);
+    case 'lt':
+      return compare(itemValue, filterValue, (a, b) => a < b);
+    case 'lte':
+      return compare(itemValue, filterValue, (a, b) => a <= b);
+    case 'in':
+      return toList(filterValue).some(option => equals(itemValue, option));
+    case 'nin':
+      return !toList(filterValue).some(option => equals(itemValue, option));
+    case 'contains':
+      if (Array.isArray(itemValue)) return itemValue.some(element => equals(element, filterValue));
+      if (typeof itemValue === 'string') return itemValue.toLowerCase().includes(String(filterValue).toLowerCase());
+      return false;
+    case 'null': {
+      const expected = filterValue === true || String(filterValue).toLowerCase() === 'true';
+      return isMissing(itemValue) === expected;
+    }
+    case 'regex':
+    case 'like': {
+      if (isMissing(itemValue)) return false;
+      const regex = toRegExp(filterValue, operator === 'like' ? 'i' : '');
+      const values = Array.isArray(itemValue) ? itemValue : [itemValue];
+      return values.some(value => regex.test(String(value)));
+    }
+    default:
+      throw new QueryError(`Operador desconhecido: ${operator}`);
+  }
+}
+
+// Plain values keep the original prefix syntax: >=10, <=10, >10, <10,
+// !=value and value* wildcards
+function matchLegacy(itemValue, filterValue) {
+  const value = String(filterValue);
+
+  if (value.startsWith('>=')) return matchOperator(itemValue, 'gte', value.slice(2));
+  if (value.startsWith('<=')) return matchOperator(itemValue, 'lte', value.slice(2));
+  if (value.startsWith('>')) return matchOperator(itemValue, 'gt', value.slice(1));
+  if (value.startsWith('<')) return matchOperator(itemValue, 'lt', value.slice(1));
+  if (value.startsWith('!=')) return matchOperator(itemValue, 'ne', value.slice(2));
+  if (value.includes('*')) {
+    if (isMissing(itemValue)) return false;
+    return toRegExp(value.replace(/\*/g, '.*'), 'i').test(String(itemValue));
+  }
+  return equals(itemValue, value);
+}
+
+// Split "price_gte" into the field and operator; keys without a known
+// operator suffix are plain fields (e.g. "first_name")
+function parseFilterKey(key) {
+  const match = key.match(/^(.+)_([a-z]+)$/);
+  if (match && OPERATORS.includes(match[2])) {
+    return { field: match[1], operator: match[2] };
+  }
+  return { field: key, operator: null };
+}
+
+// Match a field against one query value: a plain value, several values
+// (?age=>10&age=<50, all must hold) or an operator object (?age[gte]=10)
+function matchQueryValue(itemValue, operator, value) {
+  if (Array.isArray(value)) {
+    return operator === 'in' || operator === 'nin'
+      ? matchOperator(itemValue, operator, value)
+      : value.every(entry => matchQueryValue(itemValue, operator, entry));
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).every(([key, entry]) => matchQueryValue(itemValue, normalizeOperator(key), entry));
+  }
+  return operator ? matchOperator(itemValue, operator, value) : matchLegacy(itemValue, value);
+}
+
+function normalizeOperator(key) {
+  const operator = key.replace(/^\$/, '');
+  if (!OPERATORS.includes(operator)) {
+    throw new QueryError(`Operador desconhecido: ${key}`);
+  }
+  return operator;
+}
+
+// Evaluate a _where JSON filter: keys are field paths (all must match) plus
+// the logical $and, $or and $not; field values are either plain values
+// (equality) or operator objects such as { "gte": 10, "lt": 20 }
+function matchWhere(item, filter) {
+  if (Array.isArray(filter)) {
+    return filter.some(entry => matchWhere(item, entry));
+  }
+  if (!isPlainObject(filter)) {
+    throw new QueryError('Filtro JSON inválido');
+  }
+
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === '$or') {
+      if (!Array.isArray(value)) throw new QueryError('$or deve ser um array');
+      return value.some(entry => matchWhere(item, entry));
+    }
+    if (key === '$and') {
+      if (!Array.isArray(value)) throw new QueryError('$and deve ser um array');
+      return value.every(entry => matchWhere(item, entry));
+    }
+    if (key === '$not') {
+      return !matchWhere(item, value);
+    }
+
+    const itemValue = getPath(item, key);
+    if (isPlainObject(value)) {
+      return Object.entries(value).every(([operator, entry]) => {
+        return matchOperator(itemValue, normalizeOperator(operator), entry);
+      });
+    }
+    return equals(itemValue, value);
+  });
+}
+
+function parseJsonFilter(value, name) {
+  try {
+    return JSON.parse(Array.isArray(value) ? value[value.length - 1] : value);
+  } catch (error) {
+    throw new QueryError(`JSON inválido em ${name}`);
+  }
+}
+
+function filterItems(items, queryParams) {
+  const conditions = [];
+
+  for (const [key, value] of Object.entries(queryParams)) {
+    if (RESERVED_PARAMS.includes(key)) {
+      continue;
+    }
+    if (key === '_where') {
+      const filter = parseJsonFilter(value, '_where');
+      conditions.push(item => matchWhere(item, filter));
+      continue;
+    }
+    if (key === '_or') {
+      const filters = parseJsonFilter(value, '_or');
+      if (!Array.isArray(filters)) {
+        throw new QueryError('_or deve ser um array JSON de filtros');
+      }
+      conditions.push(item => filters.some(filter => matchWhere(item, filter)));
+      continue;
+    }
+
+    const { field, operator } = parseFilterKey(key);
+    conditions.push(item => matchQueryValue(getPath(item, field), operator, value));
+  }
+
+  if (conditions.length === 0) {
+    return items;
+  }
+  return items.filter(item => conditions.every(condition => condition(item)));
+}
+
+// Lowercase and strip accents so "José" matches "jose"
+function normalizeText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Every string found in a value, walking nested objects and arrays
+function collectStrings(value, strings = []) {
+  if (typeof value === 'string') {
+    strings.push(normalizeText(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, strings));
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, strings));
+  }
+  return strings;
+}
+
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Relevance of one term in one string: whole value > word start > substring
+function scoreTerm(text, term) {
+  if (text === term) return 10;
+  const index = text.indexOf(term);
+  if (index === -1) return 0;
+  if (index === 0 || /[^a-z0-9]/.test(text[index - 1])) return 5;
+  return 1;
+}
+
+// Words of the full-text search, none when `q` is missing or blank
+function searchTerms(queryParams) {
+  if (queryParams.q === undefined) {
+    return [];
+  }
+  return normalizeText(parseList(queryParams.q).join(' ')).split(/\s+/).filter(Boolean);
+}
+
+// Full-text search with ?q=: every term must appear in some string field
+// (or in the _searchFields ones). Matches are ranked by relevance.
+function searchItems(items, queryParams) {
+  const terms = searchTerms(queryParams);
+  if (terms.length === 0) {
+    return items;
+  }
+
+  const searchFields = queryParams._searchFields ? parseList(queryParams._searchFields) : null;
+
+  const scored = [];
+  items.forEach(item => {
+    const strings = searchFields
+      ? searchFields.flatMap(field => collectStrings(getPath(item, field)))
+      : collectStrings(item);
+
+    let score = 0;
+    for (const term of terms) {
+      const termScore = strings.reduce((total, text) => total + scoreTerm(text, term), 0);
+      if (termScore === 0) return;
+      score += termScore;
+    }
+    scored.push({ item, score });
+  });
+
+  // Array.prototype.sort is stable, so equal scores keep their order
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+}
+
+function compareValues(aValue, bValue, sortOrder) {
+  if (aValue === undefined && bValue === undefined) return 0;
+  if (aValue === undefined) return 1;
+  if (bValue === undefined) return -1;
+
+  if (typeof aValue === 'string' && typeof bValue === 'string') {
+    return aValue.localeCompare(bValue) * sortOrder;
+  }
+
+  if (aValue < bValue) return -1 * sortOrder;
+  if (aValue > bValue) return 1 * sortOrder;
+  return 0;
+}
+
+function isCursorMode(queryParams) {
+  return queryParams._cursor !== undefined || queryParams._after !== undefined;
+}
+
+// Cursor pagination needs a total order, so it sorts by createdAt when no
+// _sort is given and always breaks ties by id
+function getSortField(queryParams) {
+  return queryParams._sort || (isCursorMode(queryParams) ? 'createdAt' : null);
+}
+
+// Compare sort keys (value + id); ids only break ties in cursor mode
+function compareKeys(aValue, aId, bValue, bId, sortOrder, tieBreak) {
+  const result = compareValues(aValue, bValue, sortOrder);
+  if (result !== 0 || !tieBreak) return result;
+  return compareValues(String(aId), String(bId), sortOrder);
+}
+
+function compareItems(a, b, sortField, sortOrder, tieBreak, primaryKey = 'id') {
+  return compareKeys(getPath(a, sortField), a[primaryKey], getPath(b, sortField), b[primaryKey], sortOrder, tieBreak);
+}
+
+// `primaryKey` names the id field used to break ties
+function sortItems(items, queryParams, primaryKey = 'id') {
+  const sortField = getSortField(queryParams);
+  if (!sortField) {
+    return items;
+  }
+
+  const sortOrder = queryParams._order === 'desc' ? -1 : 1;
+  const tieBreak = isCursorMode(queryParams);
+
+  return items.sort((a, b) => compareItems(a, b, sortField, sortOrder, tieBreak, primaryKey));
+}
+
+// Cursors are opaque to clients: base64 of the sort value and id of the last
+// item returned, so the next page starts right after it even if records were
+// inserted or removed in the meantime
+function encodeCursor(item, sortField, primaryKey) {
+  return Buffer.from(JSON.stringify({ v: getPath(item, sortField), id: item[primaryKey] })).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (decoded === null || typeof decoded !== 'object' || !('id' in decoded)) {
+      throw new Error('invalid cursor');
+    }
+    return decoded;
+  } catch (error) {
+    throw new QueryError('Cursor inválido');
+  }
+}
+
+function parsePositiveInt(value, name) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new QueryError(`Parâmetro ${name} inválido: ${value}`);
+  }
+  return number;
+}
+
+// Slice the sorted items according to one of the pagination styles:
+// - offset: _limit / _offset
+// - page:   _page / _per_page (or _limit)
+// - cursor: _cursor / _after with _limit
+// Returns the page of items plus the metadata used for headers and envelopes.
+function paginate(items, queryParams, primaryKey = 'id') {
+  const total = items.length;
+  const limit = parsePositiveInt(queryParams._limit, '_limit');
+
+  if (isCursorMode(queryParams)) {
+    const pageSize = limit || DEFAULT_PAGE_SIZE;
+    const sortField = getSortField(queryParams);
+    const sortOrder = queryParams._order === 'desc' ? -1 : 1;
+    const cursor = queryParams._after || queryParams._cursor;
+
+    let start = 0;
+    if (cursor) {
+      const { v, id } = decodeCursor(String(cursor));
+      const value = v === null ? undefined : v;
+      start = items.findIndex(item => {
+        return compareKeys(getPath(item, sortField), item[primaryKey], value, id, sortOrder, true) > 0;
+      });
+      if (start === -1) start = total;
+    }
+
+    const page = items.slice(start, start + pageSize);
+    const hasMore = start + pageSize < total;
+    return {
+      items: page,
+      pagination: {
+        style: 'cursor',
+        total,
+        count: page.length,
+        limit: pageSize,
+        nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], sortField, primaryKey) : null
+      }
+    };
+  }
+
+  if (queryParams._page !== undefined) {
+    const pageNumber = Math.max(parsePositiveInt(queryParams._page, '_page') || 1, 1);
+    const perPage = parsePositiveInt(queryParams._per_page, '_per_page') || limit || DEFAULT_PAGE_SIZE;
+    const pages = Math.max(Math.ceil(total / perPage), 1);
+    const page = items.slice((pageNumber - 1) * perPage, pageNumber * perPage);
+    return {
+      items: page,
+      pagination: { style: 'page', total, count: page.length, page: pageNumber, perPage, pages }
+    };
+  }
+
+  if (queryParams._offset || queryParams._limit) {
+    const offset = parsePositiveInt(queryParams._offset, '_offset') || 0;
+    const page = limit ? items.slice(offset, offset + limit) : items.slice(offset);
+    return {
+      items: page,
+      pagination: { style: 'offset', total, count: page.length, offset, limit }
+    };
+  }
+
+  return {
+    items,
+    pagination: { style: null, total, count: total }
+  };
+}
+
+// Build the RFC 8288 links (first/prev/next/last) of a page as query
+// parameter changes; the caller turns them into URLs
+function getPageLinks(pagination) {
+  const links = {};
+  const { style, total } = pagination;
+
+  if (style === 'offset' && pagination.limit) {
+    const { offset, limit } = pagination;
+    links.first = { _offset: 0, _limit: limit };
+    if (offset > 0) links.prev = { _offset: Math.max(offset - limit, 0), _limit: limit };
+    if (offset + limit < total) links.next = { _offset: offset + limit, _limit: limit };
+    links.last = { _offset: total > 0 ? Math.floor((total - 1) / limit) * limit : 0, _limit: limit };
+  } else if (style === 'page') {
+    const { page, perPage, pages } = pagination;
+    links.first = { _page: 1, _per_page: perPage };
+    if (page > 1) links.prev = { _page: Math.min(page - 1, pages), _per_page: perPage };
+    if (page < pages) links.next = { _page: page + 1, _per_page: perPage };
+    links.last = { _page: pages, _per_page: perPage };
+  } else if (style === 'cursor') {
+    links.first = { _cursor: '', _limit: pagination.limit };
+    if (pagination.nextCursor) links.next = { _after: pagination.nextCursor, _limit: pagination.limit };
+  }
+
+  return links;
+}
+
+// Whether a _where filter leaves every record in ({}, { "$and": [] },
+// { "price": {} }...)
+function isEmptyWhere(filter) {
+  if (Array.isArray(filter)) {
+    return filter.some(isEmptyWhere);
+  }
+  if (!isPlainObject(filter)) {
+    return false;
+  }
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === '$and') return Array.isArray(value) && value.every(isEmptyWhere);
+    if (key === '$or') return Array.isArray(value) && value.some(isEmptyWhere);
+    if (key === '$not') return false;
+    return isPlainObject(value) && Object.keys(value).length === 0;
+  });
+}
+
+// Whether a _where or _or parameter constrains the records. Invalid JSON
+// counts as a filter so the request fails with its own error.
+function isJsonFilter(value, name) {
+  let filter;
+  try {
+    filter = parseJsonFilter(value, name);
+  } catch (error) {
+    return true;
+  }
+  if (name === '_or' && Array.isArray(filter) && filter.length === 0) {
+    return false;
+  }
+  return !isEmptyWhere(filter);
+}
+
+// Whether the query selects a subset of the records (filters, a non-empty
+// _where / _or or a search with at least one term)
+function hasFilters(queryParams) {
+  return Object.keys(queryParams).some(key => {
+    if (key === 'q') return searchTerms(queryParams).length > 0;
+    if (key === '_where' || key === '_or') return isJsonFilter(queryParams[key], key);
+    return !RESERVED_PARAMS.includes(key);
+  });
+}
+
+// Records matching the filters and search of a query, in storage order
+function matchItems(items, queryParams) {
+  return searchItems(filterItems(items, queryParams), queryParams);
+}
+
+// Run the whole pipeline: filter, search, sort and paginate
+function applyQuery(items, queryParams, { primaryKey = 'id' } = {}) {
+  let result = filterItems(items, queryParams);
+  result = searchItems(result, queryParams);
+  result = sortItems(result, queryParams, primaryKey);
+  return paginate(result, queryParams, primaryKey);
+}
+
+module.exports = {
+  RESERVED_PARAMS,
+  QueryError,
+  getPath,
+  normalizeText,
+  hasFilters,
+  filterItems,
+  matchItems,
+  searchItems,
+  sortItems,
+  paginate,
+  getPageLinks,
+  applyQuery
+};
@@ -0,0 +1,118 @@
+// Relationship resolution for the _expand and _embed query parameters,
+// following the json-server conventions:
+//
+//   GET /posts?_expand=user     -> post.user  = users record whose id is post.userId
+//   GET /posts?_embed=comments  -> post.comments = comments records whose postId is post.id
+//
+// Dotted values follow the relation further (e.g. _expand=user.company or
+// _embed=comments.likes), up to the configured maximum depth.
+
+function pluralize(name) {
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+function singularize(name) {
+  if (/[^aeiou]ies$/i.test(name)) return `${name.slice(0, -3)}y`;
+  if (/(s|x|z|ch|sh)es$/i.test(name)) return name.slice(0, -2);
+  if (/[^s]s$/i.test(name)) return name.slice(0, -1);
+  return name;
+}
+
+// Query values may be repeated (?_embed=a&_embed=b) or comma-separated
+function parseRelationParam(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(item => /^[\w-]+(\.[\w-]+)*$/.test(item));
+}
+
+function hasRelations(query) {
+  return parseRelationParam(query._expand).length > 0 || parseRelationParam(query._embed).length > 0;
+}
+
+// Paths where related records end up in a resolved item, e.g.
+// _expand=user.company -> ['user', 'user.company']
+function getRelationPaths(query) {
+  const paths = new Set();
+  for (const relation of [...parseRelationParam(query._expand), ...parseRelationParam(query._embed)]) {
+    const names = relation.split('.');
+    names.forEach((name, index) => paths.add(names.slice(0, index + 1).join('.')));
+  }
+  return [...paths];
+}
+
+async function expandItems(storage, items, names, isVisible) {
+  const [name, ...rest] = names;
+  const foreignKey = `${name}Id`;
+  const collection = pluralize(name);
+  if (storage.isInternalCollection(collection)) return;
+  const related = (await storage.list(collection)).filter(record => isVisible(collection, record));
+  const primaryKey = storage.getPrimaryKey(collection);
+  const byId = new Map(related.map(record => [String(record[primaryKey]), record]));
+
+  const expanded = [];
+  for (const item of items) {
+    if (item[foreignKey] === undefined || item[foreignKey] === null) continue;
+
+    // A dangling reference resolves to null instead of failing the request
+    const record = byId.get(String(item[foreignKey]));
+    item[name] = record ? { ...record } : null;
+    if (record) expanded.push(item[name]);
+  }
+
+  if (rest.length > 0 && expanded.length > 0) {
+    await expandItems(storage, expanded, rest, isVisible);
+  }
+}
+
+async function embedItems(storage, collection, items, names, isVisible) {
+  const [name, ...rest] = names;
+  const parentName = collection.split('/').pop();
+  const foreignKey = `${singularize(parentName)}Id`;
+  if (storage.isInternalCollection(name)) return;
+  const children = (await storage.list(name)).filter(record => isVisible(name, record));
+
+  const byParent = new Map();
+  for (const child of children) {
+    if (child[foreignKey] === undefined || child[foreignKey] === null) continue;
+    const key = String(child[foreignKey]);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(child);
+  }
+
+  const primaryKey = storage.getPrimaryKey(collection);
+  const embedded = [];
+  for (const item of items) {
+    item[name] = (byParent.get(String(item[primaryKey])) || []).map(child => ({ ...child }));
+    embedded.push(...item[name]);
+  }
+
+  if (rest.length > 0 && embedded.length > 0) {
+    await embedItems(storage, name, embedded, rest, isVisible);
+  }
+}
+
+// Resolve the _expand / _embed parameters of `query` in place on `items`.
+// `isVisible(collection, record)` can hide related records (e.g. soft-deleted ones).
+// Internal collections (history, snapshots, credentials) are never resolved.
+async function resolveRelations(storage, collection, items, query, maxDepth = 3, isVisible = () => true) {
+  for (const relation of parseRelationParam(query._expand)) {
+    await expandItems(storage, items, relation.split('.').slice(0, maxDepth), isVisible);
+  }
+  for (const relation of parseRelationParam(query._embed)) {
+    await embedItems(storage, collection, items, relation.split('.').slice(0, maxDepth), isVisible);
+  }
+  return items;
+}
+
+module.exports = {
+  pluralize,
+  singularize,
+  hasRelations,
+  getRelationPaths,
+  resolveRelations
+};
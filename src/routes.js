@@ -0,0 +1,250 @@
+// Custom routes: rewrites of a public URL scheme onto the collections and
+// canned responses for endpoints the mock does not model. They come from the
+// `routes` option or a JSON file keyed by "[METHOD] path", checked in order
+// before any other route (the first match wins):
+//
+//   {
+//     "/api/v1/users/:id": "/users/:id?_embed=posts",       // rewrite
+//     "/api/v1/*": "/$1",
+//     "GET /api/health": { "body": { "status": "ok" } },    // static response
+//     "GET /api/config": { "file": "config.json", "headers": { "Cache-Control": "no-store" } },
+//     "POST /api/login": { "status": 201, "body": { "user": "{{body.username}}", "token": "{{uuid}}" } }
+//   }
+//
+// ":name" matches one path segment and "*" anything; rewrites reference them
+// as ":name" and "$1", "$2"... Strings in bodies, headers and JSON files are
+// templates: {{params.id}}, {{query.page}}, {{body.name}}, {{headers.host}},
+// {{method}}, {{path}}, {{now}} and {{uuid}}. A string holding only one
+// placeholder keeps the type of the value. Files are relative to the routes
+// file and other files than JSON are sent as they are.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { isPlainObject } = require('./patch');
+
+const RESPONSE_FIELDS = ['status', 'body', 'file', 'headers'];
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_REGEX = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// "GET /api/users/:id" or "/api/*": optional method and a path where ":name"
+// matches a segment and "*" anything
+function parsePattern(pattern) {
+  const [first, second] = pattern.trim().split(/\s+/);
+  const method = second ? first.toUpperCase() : null;
+  const keys = [];
+  let wildcards = 0;
+  const source = (second || first).replace(/\/+$/, '').replace(/:(\w+)|\*|[.+?^${}()|[\]\\]/g, (token, name) => {
+    if (name) {
+      keys.push(name);
+      return '([^/]+)';
+    }
+    if (token === '*') {
+      keys.push(String(++wildcards));
+      return '(.*)';
+    }
+    return `\\${token}`;
+  });
+  return { method, keys, regex: new RegExp(`^${source}/?$`) };
+}
+
+function normalizeRoute(pattern, value) {
+  const fail = reason => {
+    throw new Error(`Rota inválida (${pattern}): ${reason}`);
+  };
+  const route = parsePattern(pattern);
+
+  if (typeof value === 'string' || (isPlainObject(value) && value.rewrite !== undefined)) {
+    const rewrite = typeof value === 'string' ? value : value.rewrite;
+    if (typeof rewrite !== 'string' || !rewrite.startsWith('/')) {
+      fail('o destino deve começar com /');
+    }
+    return { ...route, rewrite };
+  }
+  if (!isPlainObject(value)) {
+    fail('use um caminho ou um objeto com status, body, file e headers');
+  }
+
+  const unknown = Object.keys(value).filter(field => !RESPONSE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    fail(`campos desconhecidos: ${unknown.join(', ')}`);
+  }
+  const status = value.status !== undefined ? value.status : 200;
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    fail(`status inválido: ${value.status}`);
+  }
+  if (value.body !== undefined && value.file !== undefined) {
+    fail('use body ou file, não os dois');
+  }
+  if (value.file !== undefined && (typeof value.file !== 'string' || value.file === '')) {
+    fail('file deve ser um caminho');
+  }
+  if (value.headers !== undefined && !isPlainObject(value.headers)) {
+    fail('headers deve ser um objeto');
+  }
+  return { ...route, response: { status, body: value.body, file: value.file, headers: value.headers || {} } };
+}
+
+// Own properties only, so templates cannot reach into prototypes
+function lookup(context, expression) {
+  return expression.split('.').reduce((value, key) => {
+    return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined;
+  }, context);
+}
+
+function renderTemplate(value, context) {
+  if (typeof value === 'string') {
+    const single = SINGLE_PLACEHOLDER_REGEX.exec(value);
+    if (single) {
+      const result = lookup(context, single[1]);
+      return result === undefined ? null : result;
+    }
+    return value.replace(PLACEHOLDER_REGEX, (token, expression) => {
+      const result = lookup(context, expression);
+      if (result === undefined || result === null) return '';
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, context));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, context)]));
+  }
+  return value;
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+class RouteTable {
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    // Files of responses are relative to the routes file
+    this.baseDir = this.filePath ? path.dirname(this.filePath) : process.cwd();
+    this.routes = options.routes ? this.parse(options.routes) : null;
+  }
+
+  parse(routes) {
+    if (!isPlainObject(routes)) {
+      throw new Error('As rotas devem ser um objeto { "[MÉTODO] caminho": destino ou resposta }');
+    }
+    return Object.entries(routes).map(([pattern, value]) => normalizeRoute(pattern, value));
+  }
+
+  async load() {
+    if (this.routes) {
+      return this.routes;
+    }
+
+    let routes = {};
+    if (this.filePath) {
+      try {
+        routes = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Arquivo de rotas inválido (${this.filePath}): ${error.message}`);
+      }
+    }
+    this.routes = this.parse(routes);
+    return this.routes;
+  }
+
+  // First route matching the request, with the values of its parameters
+  match(routes, req) {
+    for (const route of routes) {
+      if (route.method && route.method !== req.method && !(route.method === 'GET' && req.method === 'HEAD')) {
+        continue;
+      }
+      const match = route.regex.exec(req.path);
+      if (match) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          params[key] = match[index + 1];
+        });
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  // Express middleware: rewrite the URL and carry on, or answer right away
+  async handle(req, res, next) {
+    const found = this.match(await this.load(), req);
+    if (!found) {
+      return next();
+    }
+    if (found.route.rewrite) {
+      this.rewrite(req, found.route.rewrite, found.params);
+      return next();
+    }
+    return this.respond(req, res, found.route.response, found.params);
+  }
+
+  // Point the request at the target; its query string wins over the one of
+  // the target
+  rewrite(req, target, params) {
+    const url = new URL(target.replace(/:(\w+)|\$(\d+)/g, (token, name, index) => {
+      const value = params[name || index];
+      return value !== undefined ? value : token;
+    }), 'http://localhost');
+
+    const queryIndex = req.url.indexOf('?');
+    const requestQuery = new URLSearchParams(queryIndex === -1 ? '' : req.url.slice(queryIndex + 1));
+    const query = url.searchParams;
+    for (const key of new Set(requestQuery.keys())) {
+      query.delete(key);
+    }
+    requestQuery.forEach((value, key) => query.append(key, value));
+
+    const search = query.toString();
+    req.url = search ? `${url.pathname}?${search}` : url.pathname;
+    // Express parses the query string once, before any middleware
+    req.query = req.app.get('query parser fn')(search);
+  }
+
+  async respond(req, res, response, params) {
+    const context = {
+      params: Object.fromEntries(Object.entries(params).map(([key, value]) => [key, decodeParam(value)])),
+      query: req.query,
+      body: req.body,
+      headers: req.headers,
+      method: req.method,
+      path: req.path,
+      now: new Date().toISOString(),
+      uuid: uuidv4()
+    };
+
+    Object.entries(renderTemplate(response.headers, context)).forEach(([name, value]) => {
+      res.set(name, value === null ? '' : String(value));
+    });
+    res.status(response.status);
+
+    if (response.file === undefined) {
+      return response.body === undefined ? res.end() : res.json(renderTemplate(response.body, context));
+    }
+
+    const file = path.resolve(this.baseDir, response.file);
+    if (path.extname(file).toLowerCase() === '.json') {
+      let body;
+      try {
+        body = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Arquivo da rota inválido (${file}): ${error.message}`);
+      }
+      return res.json(renderTemplate(body, context));
+    }
+    await new Promise((resolve, reject) => {
+      // Nothing can be reported once the file started going out
+      res.sendFile(file, error => (error && !res.headersSent ? reject(error) : resolve()));
+    });
+  }
+}
+
+module.exports = RouteTable;
@@ -0,0 +1,237 @@
+// Minimal JSON Schema support for per-collection validation.
+//
+// Supported keywords: type, enum, const, properties, required,
+// additionalProperties, items, minItems, maxItems, uniqueItems, minLength,
+// maxLength, pattern, format, minimum, maximum, exclusiveMinimum,
+// exclusiveMaximum, multipleOf, allOf, anyOf, oneOf, not, default and readOnly.
+
+const { deepEqual, isPlainObject } = require('./patch');
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super('Dados inválidos');
+    this.name = 'ValidationError';
+    this.status = 422;
+    this.errors = errors;
+  }
+}
+
+// A declared schema that cannot be used (e.g. an invalid pattern)
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+    this.status = 500;
+  }
+}
+
+// Compiled `pattern` of each (sub)schema, filled by compileSchema()
+const patterns = new WeakMap();
+
+const formats = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  uri: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+// Collect every violation of `schema` by `value` as { field, message } pairs.
+// `ignore` lists root properties that are always allowed (system fields).
+function validate(schema, value, field = '', ignore = []) {
+  const errors = [];
+  const fail = message => errors.push({ field: field || '(root)', message });
+
+  if (!isPlainObject(schema)) return errors;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`deve ser do tipo ${types.join(' ou ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    fail(`deve ser um dos valores: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail(`deve ser igual a ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`deve ter no mínimo ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`deve ter no máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !(patterns.get(schema) || new RegExp(schema.pattern)).test(value)) {
+      fail(`deve corresponder ao padrão ${schema.pattern}`);
+    }
+    if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+      fail(`deve estar no formato ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`deve ser maior ou igual a ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`deve ser menor ou igual a ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`deve ser maior que ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`deve ser menor que ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+      fail(`deve ser múltiplo de ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`deve ter no mínimo ${schema.minItems} itens`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`deve ter no máximo ${schema.maxItems} itens`);
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => deepEqual(other, item)) !== index)) {
+      fail('não deve conter itens repetidos');
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, joinPath(field, index)));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: joinPath(field, key), message: 'é obrigatório' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], propertyValue, joinPath(field, key)));
+      } else if (ignore.includes(key)) {
+        continue;
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(field, key), message: 'não é permitido' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(schema.additionalProperties, propertyValue, joinPath(field, key)));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validate(subschema, value, field));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validate(subschema, value, field).length === 0)) {
+    fail('não corresponde a nenhum dos esquemas permitidos (anyOf)');
+  }
+  if (schema.oneOf && schema.oneOf.filter(subschema => validate(subschema, value, field).length === 0).length !== 1) {
+    fail('deve corresponder a exatamente um dos esquemas (oneOf)');
+  }
+  if (schema.not && validate(schema.not, value, field).length === 0) {
+    fail('não deve corresponder ao esquema (not)');
+  }
+
+  return errors;
+}
+
+// Compile the patterns of a schema when it is loaded, so a broken one is
+// reported once instead of failing every write
+function compileSchema(schema, name, where = '') {
+  if (!isPlainObject(schema)) return schema;
+
+  if (schema.pattern !== undefined && !patterns.has(schema)) {
+    try {
+      patterns.set(schema, new RegExp(schema.pattern));
+    } catch (error) {
+      throw new SchemaError(`Esquema inválido (${name}): padrão inválido em ${joinPath(where, 'pattern')}: ${schema.pattern}`);
+    }
+  }
+
+  Object.entries(isPlainObject(schema.properties) ? schema.properties : {}).forEach(([key, subschema]) => {
+    compileSchema(subschema, name, joinPath(where, `properties.${key}`));
+  });
+  ['items', 'additionalProperties', 'not'].forEach(key => compileSchema(schema[key], name, joinPath(where, key)));
+  ['allOf', 'anyOf', 'oneOf'].forEach(key => {
+    (Array.isArray(schema[key]) ? schema[key] : []).forEach((subschema, index) => {
+      compileSchema(subschema, name, `${joinPath(where, key)}[${index}]`);
+    });
+  });
+  return schema;
+}
+
+// Fill missing properties with their schema defaults (recursively)
+function applyDefaults(schema, value) {
+  if (!isPlainObject(schema) || !isPlainObject(value) || !isPlainObject(schema.properties)) {
+    return value;
+  }
+
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    if (value[key] === undefined && propertySchema.default !== undefined) {
+      value[key] = JSON.parse(JSON.stringify(propertySchema.default));
+    }
+    applyDefaults(propertySchema, value[key]);
+  }
+  return value;
+}
+
+// Make readOnly properties keep their current value (or stay unset on
+// create), whatever the client sent
+function protectReadOnly(schema, value, current) {
+  if (!isPlainObject(schema) || !isPlainObject(value) || !isPlainObject(schema.properties)) {
+    return value;
+  }
+
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    const currentValue = isPlainObject(current) ? current[key] : undefined;
+
+    if (propertySchema.readOnly) {
+      if (currentValue === undefined) {
+        delete value[key];
+      } else {
+        value[key] = currentValue;
+      }
+    } else {
+      protectReadOnly(propertySchema, value[key], currentValue);
+    }
+  }
+  return value;
+}
+
+module.exports = {
+  ValidationError,
+  SchemaError,
+  validate,
+  compileSchema,
+  applyDefaults,
+  protectReadOnly
+};
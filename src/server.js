@@ -1,378 +1,1781 @@
+const EventEmitter = require('events');
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const { AsyncLocalStorage } = require('async_hooks');
+const { WebSocketServer } = require('ws');
+const { createStorage } = require('./storage');
+const { PatchError, applyMergePatch, applyJsonPatch, isPlainObject } = require('./patch');
+const { computeETag, matchesETag } = require('./etag');
+const { ValidationError, SchemaError, validate, compileSchema, applyDefaults, protectReadOnly } = require('./schema');
+const { hasRelations, resolveRelations, singularize } = require('./relations');
+const { QueryError, applyQuery, getPageLinks, hasFilters, matchItems } = require('./query');
+const { hasProjection, projectItem, applyProjection } = require('./projection');
+const HistoryStore = require('./history');
+const ChaosSimulator = require('./chaos');
+const RouteTable = require('./routes');
+const { importData, exportData, readDataFile, dumpStorage, restoreStorage } = require('./dump');
+const { parseDuration } = require('./duration');
+const { WebhookManager } = require('./webhooks');
+const { AuthError, AuthManager, hashPassword, verifyPassword } = require('./auth');
+const { buildDocument, renderDocsPage } = require('./openapi');
+const { GraphQLApi } = require('./graphql');
+const { IdManager } = require('./ids');
+const { version } = require('../package.json');
 
-class GenericRestServer {
+// Fields managed by the server itself, besides the primary key
+const SYSTEM_FIELDS = ['createdAt', 'updatedAt', 'deletedAt'];
+
+// Request being served, recorded with each revision of the history
+const requestContext = new AsyncLocalStorage();
+
+// Change event type of each history action, as seen by a listing: a
+// restored item shows up again and a purged one is gone
+const ACTION_EVENTS = {
+  create: 'create',
+  update: 'update',
+  delete: 'delete',
+  restore: 'create',
+  rollback: 'update',
+  purge: 'delete'
+};
+
+// Hashed passwords of the accounts, kept out of the users collection
+const CREDENTIALS_COLLECTION = '_auth/credentials';
+
+// Named copies of the whole database (see createSnapshot)
+const SNAPSHOTS_COLLECTION = '_snapshots';
+const SNAPSHOT_NAME_REGEX = /^[\w-][\w.-]*$/;
+
+// Path segments of the built-in endpoints and of collection metadata files
+// (_schema.json is never a record)
+const RESERVED_SEGMENTS = [
+  '_batch', '_restore', '_purge', '_history', '_rollback', '_events', '_auth', '_admin',
+  '_webhooks', '_docs', '_openapi.json', '_snapshots', '_schema'
+];
+
+// Methods accepted by the /_batch endpoint
+const BATCH_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Error with an HTTP status raised while processing a single operation
+class RequestError extends Error {
+  constructor(message, status, headers = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// Records can be named by their file: /posts/1.json is the record "1"
+function stripRecordFile(segment) {
+  return segment.endsWith('.json') ? segment.slice(0, -'.json'.length) : segment;
+}
+
+class GenericRestServer extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.app = express();
     this.port = options.port || process.env.PORT || 3000;
     this.dbPath = options.dbPath || process.env.DB_PATH || path.join(process.cwd(), 'db');
     this.verbose = options.verbose || process.env.VERBOSE === 'true' || false;
+    this.schemas = options.schemas || {};
+    Object.entries(this.schemas).forEach(([collection, schema]) => compileSchema(schema, collection));
+    this.maxRelationDepth = options.maxRelationDepth || 3;
+    this.bodyLimit = options.bodyLimit || '10mb';
+    // Soft delete: true for every collection or a list of collection names
+    this.softDelete = options.softDelete || process.env.SOFT_DELETE === 'true' || false;
+    // PUT on a missing record creates it: true for every collection or a list
+    this.upsert = options.upsert || process.env.UPSERT === 'true' || false;
     this.server = null;
+    this.watchFiles = options.watch !== false;
+    // json-server style db.json loaded into the storage on start
+    this.from = options.from || null;
+    // Snapshot restored on every start (and by reset())
+    this.seed = options.seed || null;
+    // Pending snapshot operation, which requests wait for (see exclusive())
+    this.maintenance = null;
+    
+    // Change feed clients (SSE responses and WebSockets)
+    this.eventStreams = new Set();
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (socket, req, user) => this.handleWebSocket(socket, req, user));
+    // Every feed client adds a listener
+    this.setMaxListeners(0);
     
     // Resolve absolute path
     this.dbPath = path.resolve(this.dbPath);
     
+    // ID strategy and primary key field of each collection (see src/ids.js)
+    this.ids = new IdManager(options.ids || process.env.ID_STRATEGY, {
+      primaryKey: options.primaryKey || process.env.PRIMARY_KEY
+    });
+    
+    // Storage adapter - "file" (default), "memory", "json" or a custom instance
+    this.storage = createStorage(options.storage || process.env.STORAGE, {
+      dbPath: this.dbPath,
+      filePath: options.dbFile,
+      cache: options.cache,
+      primaryKey: collection => this.getPrimaryKey(collection)
+    });
+    
+    // Revisions kept per record (0 disables the history)
+    const historyLimit = options.historyLimit !== undefined ? options.historyLimit : process.env.HISTORY_LIMIT;
+    this.history = new HistoryStore(this.storage, {
+      limit: historyLimit !== undefined ? parseInt(historyLimit, 10) : undefined
+    });
+    
+    // Webhooks are registered in _webhooks.json unless given inline (or the
+    // data only lives in memory)
+    const defaultWebhooksFile = (options.webhooks || this.storage.name === 'memory')
+      ? null
+      : path.join(this.dbPath, '_webhooks.json');
+    this.webhooks = new WebhookManager({
+      filePath: options.webhooksFile !== undefined ? options.webhooksFile : defaultWebhooksFile,
+      hooks: options.webhooks,
+      maxAttempts: options.webhookRetries !== undefined ? options.webhookRetries + 1 : undefined,
+      retryDelay: options.webhookRetryDelay,
+      timeout: options.webhookTimeout
+    });
+    this.on('change', event => {
+      this.webhooks.dispatch(event).catch(error => console.error('Erro ao entregar webhooks:', error));
+    });
+    
+    // Authentication and access rules: true or { secret, rules, rulesFile,
+    // usersCollection, expiresIn, apiKeys }. Off by default.
+    const auth = options.auth !== undefined ? options.auth : process.env.AUTH === 'true';
+    const authOptions = auth === true ? {} : auth;
+    this.auth = auth
+      ? new AuthManager({ ...authOptions, userIdField: this.getPrimaryKey(authOptions.usersCollection || 'users') })
+      : null;
+    
+    // Simulated latency, failures and rate limits (see src/chaos.js)
+    this.chaos = new ChaosSimulator(options.chaos || {});
+    
+    // Rewrites and canned responses: inline or from a JSON file (see src/routes.js)
+    const routesFile = options.routesFile || process.env.ROUTES_FILE;
+    this.routes = (options.routes || routesFile)
+      ? new RouteTable({ routes: options.routes, filePath: routesFile })
+      : null;
+    
+    // GraphQL endpoint at /graphql, off by default
+    const graphql = options.graphql !== undefined ? options.graphql : process.env.GRAPHQL === 'true';
+    this.graphql = graphql ? new GraphQLApi(this) : null;
+    
     this.setupMiddleware();
     this.setupRoutes();
   }
 
-  setupMiddleware() {
-    // CORS middleware - allow requests from any origin
-    this.app.use(cors({
-      origin: '*',
-      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-      credentials: false
-    }));
+  setupMiddleware() {
+    // CORS middleware - allow requests from any origin
+    this.app.use(cors({
+      origin: '*',
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: [
+        'Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept', 'Origin', 'If-Match', 'If-None-Match',
+        'X-Mock-Delay', 'X-Mock-Status', 'X-Mock-Timeout', 'X-Mock-Drop'
+      ],
+      exposedHeaders: ['ETag', 'X-Total-Count', 'Link', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+      credentials: false
+    }));
+    
+    // Requests wait while a snapshot is being taken or restored
+    this.app.use((req, res, next) => {
+      if (!this.maintenance) return next();
+      this.maintenance.then(() => next());
+    });
+    
+    this.app.use((req, res, next) => this.chaos.handle(req, res, next));
+    
+    // Also parse JSON Patch and Merge Patch bodies (application/*+json)
+    this.app.use(express.json({ type: ['application/json', 'application/*+json'], limit: this.bodyLimit }));
+    
+    // Custom routes come first, so rewritten requests are handled (and
+    // authenticated) like requests to the target path
+    if (this.routes) {
+      this.app.use((req, res, next) => {
+        this.routes.handle(req, res, next).catch(error => this.sendError(req, res, error));
+      });
+    }
+    
+    // Remember which request caused each mutation (see recordChange)
+    this.app.use((req, res, next) => {
+      requestContext.run({
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null
+      }, next);
+    });
+    
+    // Identify the caller of every request; access is checked later against
+    // the rules of the collection each operation touches
+    if (this.auth) {
+      this.app.use(async (req, res, next) => {
+        const store = requestContext.getStore();
+        store.user = null;
+        // A stale token must not keep a client from logging in again
+        if (req.path === '/_auth/login' || req.path === '/_auth/register') {
+          return next();
+        }
+        
+        try {
+          await this.auth.loadRules();
+          store.user = this.auth.authenticate({
+            authorization: req.get('Authorization'),
+            apiKey: req.get('X-API-Key'),
+            // EventSource cannot send headers
+            accessToken: req.path === '/_events' ? req.query.access_token : undefined
+          });
+        } catch (error) {
+          return this.sendError(req, res, error);
+        }
+        next();
+      });
+    }
+    
+    // Verbose logging middleware
+    if (this.verbose) {
+      this.app.use((req, res, next) => {
+        const startTime = Date.now();
+        const timestamp = new Date().toISOString();
+        
+        console.log(`\n📥 [${timestamp}] ${req.method} ${req.path}`);
+        console.log(`   Query: ${JSON.stringify(req.query)}`);
+        console.log(`   Body: ${JSON.stringify(req.body)}`);
+        console.log(`   Headers: ${JSON.stringify(req.headers)}`);
+        
+        // Override res.json to log response
+        const originalJson = res.json;
+        res.json = function(data) {
+          const endTime = Date.now();
+          const duration = endTime - startTime;
+          
+          console.log(`📤 [${new Date().toISOString()}] Response (${duration}ms):`);
+          console.log(`   Status: ${res.statusCode}`);
+          console.log(`   Data: ${JSON.stringify(data, null, 2)}`);
+          
+          return originalJson.call(this, data);
+        };
+        
+        next();
+      });
+    }
+  }
+
+  async ensureDirectoryExists(dirPath) {
+    try {
+      await fs.access(dirPath);
+    } catch (error) {
+      await fs.mkdir(dirPath, { recursive: true });
+    }
+  }
+
+  getDbPath(requestPath) {
+    const cleanPath = requestPath.startsWith('/') ? requestPath.slice(1) : requestPath;
+    return path.join(this.dbPath, cleanPath);
+  }
+
+  getPathParts(requestPath) {
+    return requestPath.split('/').filter(part => part !== '');
+  }
+
+  // Reserved names are reserved as record files too (/_webhooks.json is
+  // the webhook registry in the data directory)
+  isReservedPath(requestPath) {
+    const parts = this.getPathParts(requestPath);
+    return parts.some(part => RESERVED_SEGMENTS.includes(part) || RESERVED_SEGMENTS.includes(stripRecordFile(part))) ||
+      this.storage.isInternalCollection(parts.join('/'));
+  }
+
+  getPrimaryKey(collection) {
+    return this.ids.getPrimaryKey(collection);
+  }
+
+  // A path segment after a collection names one of its records when it
+  // matches the ID strategy of the collection or is a record file
+  // (/posts/1.json), which reaches ids of any format
+  isIdSegment(collection, segment) {
+    return segment.endsWith('.json') || this.ids.matches(collection, segment);
+  }
+
+  // Split a request path into the target collection, the item id and the
+  // parent records of nested routes: /users/<id>/posts/<id> targets the
+  // "posts" collection, scoped to posts whose userId is the user's id.
+  // `hasId` says whether the last segment is an id; when left out it is one
+  // if it looks like an id of the collection before it.
+  parseRoute(requestPath, hasId) {
+    const pathParts = this.getPathParts(requestPath);
+    const last = hasId !== false ? pathParts.pop() : undefined;
+    const parents = [];
+    let segments = [];
+
+    for (const part of pathParts) {
+      if (segments.length > 0 && this.isIdSegment(segments.join('/'), part)) {
+        parents.push({ collection: segments.join('/'), id: stripRecordFile(part) });
+        segments = [];
+      } else {
+        segments.push(part);
+      }
+    }
+
+    let id = null;
+    if (last !== undefined) {
+      // Right after a parent id the collection would be a plain directory
+      const previous = parents[parents.length - 1];
+      const collection = segments.length > 0 ? segments.join('/') : previous && `${previous.collection}/${previous.id}`;
+      if (hasId || (collection && this.isIdSegment(collection, last))) {
+        id = stripRecordFile(last);
+      } else {
+        segments.push(last);
+      }
+    }
+
+    // An id with no collection after it is a plain directory (/users/<id>/<id>)
+    if (segments.length === 0 && parents.length > 0) {
+      const parent = parents.pop();
+      segments = [parent.collection, parent.id];
+    }
+
+    // Files in the data directory itself (e.g. _webhooks.json) are not records
+    if (segments.length === 0) {
+      throw new RequestError('Rota não encontrada', 404);
+    }
+
+    const parent = parents[parents.length - 1];
+    return {
+      collection: segments.join('/'),
+      id,
+      parents,
+      foreignKey: parent ? this.getForeignKey(parent.collection) : null,
+      parentId: parent ? parent.id : null
+    };
+  }
+
+  getForeignKey(collection) {
+    return `${singularize(collection.split('/').pop())}Id`;
+  }
+
+  usesSoftDelete(collection) {
+    return Array.isArray(this.softDelete) ? this.softDelete.includes(collection) : Boolean(this.softDelete);
+  }
+
+  allowsUpsert(collection) {
+    return Array.isArray(this.upsert) ? this.upsert.includes(collection) : Boolean(this.upsert);
+  }
+
+  // Soft-deleted records stay in storage with a deletedAt stamp and are
+  // hidden unless explicitly requested
+  isDeleted(collection, record) {
+    return this.usesSoftDelete(collection) && record.deletedAt !== undefined && record.deletedAt !== null;
+  }
+
+  // Every parent of a nested route must exist and belong to the one before it
+  async checkParents(route) {
+    for (let i = 0; i < route.parents.length; i++) {
+      const { collection, id } = route.parents[i];
+      const record = await this.storage.get(collection, id);
+      if (!record || this.isDeleted(collection, record)) {
+        return false;
+      }
+
+      const previous = route.parents[i - 1];
+      if (previous && String(record[this.getForeignKey(previous.collection)]) !== previous.id) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Get the item targeted by a route, or null if it does not exist, does
+  // not belong to the parent of a nested route or is in the trash
+  async getItem(route, { includeDeleted = false } = {}) {
+    const record = await this.storage.get(route.collection, route.id);
+    if (!record) {
+      return null;
+    }
+    if (route.foreignKey && String(record[route.foreignKey]) !== route.parentId) {
+      return null;
+    }
+    if (!includeDeleted && this.isDeleted(route.collection, record)) {
+      return null;
+    }
+    return record;
+  }
+
+  // Every record of the collection targeted by a route (only the children
+  // of the parent record on nested routes)
+  async listItems(route, { includeDeleted = false } = {}) {
+    const items = await this.storage.list(route.collection);
+    return items.filter(item => {
+      if (route.foreignKey && String(item[route.foreignKey]) !== route.parentId) {
+        return false;
+      }
+      return includeDeleted || !this.isDeleted(route.collection, item);
+    });
+  }
+
+  // X-Total-Count and RFC 8288 Link headers for collection listings
+  setPaginationHeaders(req, res, pagination) {
+    res.set('X-Total-Count', String(pagination.total));
+
+    const links = getPageLinks(pagination);
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+    const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+
+    const header = Object.entries(links).map(([rel, params]) => {
+      const query = new URLSearchParams(search);
+      ['_offset', '_limit', '_page', '_per_page', '_cursor', '_after'].forEach(key => query.delete(key));
+      Object.entries(params).forEach(([key, value]) => query.set(key, value));
+      return `<${baseUrl}?${query.toString()}>; rel="${rel}"`;
+    });
+
+    if (header.length > 0) {
+      res.set('Link', header.join(', '));
+    }
+  }
+
+  sendParentNotFound(res) {
+    return res.status(404).json({ error: 'Recurso pai não encontrado' });
+  }
+
+  // Status, body and headers for the errors an operation is expected to
+  // raise, or null for unexpected ones
+  describeError(error) {
+    if (error instanceof ValidationError) {
+      return { status: error.status, body: { error: error.message, errors: error.errors }, headers: {} };
+    }
+    if (error instanceof SchemaError) {
+      return { status: error.status, body: { error: error.message }, headers: {} };
+    }
+    if (error instanceof RequestError || error instanceof PatchError || error instanceof QueryError || error instanceof AuthError) {
+      return { status: error.status, body: { error: error.message }, headers: error.headers || {} };
+    }
+    return null;
+  }
+
+  sendError(req, res, error) {
+    const known = this.describeError(error);
+    if (known) {
+      res.set(known.headers);
+      return res.status(known.status).json(known.body);
+    }
+    if (this.verbose) {
+      console.error(`❌ [${new Date().toISOString()}] Erro no ${req.method} ${req.path}:`, error);
+    }
+    console.error(`Erro no ${req.method}:`, error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
+  // Schema of a collection: the `schemas` option wins over a _schema.json
+  // file in the collection directory. A file that cannot be used is
+  // reported as a SchemaError naming it.
+  async getSchema(collection) {
+    if (this.schemas[collection]) {
+      return this.schemas[collection];
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.getDbPath(collection), '_schema.json'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return null;
+      }
+      throw error;
+    }
+
+    let schema;
+    try {
+      schema = JSON.parse(content);
+    } catch (error) {
+      throw new SchemaError(`Esquema inválido (${collection}): ${error.message}`);
+    }
+    return compileSchema(schema, collection);
+  }
+
+  // Enforce the collection schema on a document about to be stored:
+  // readOnly properties are kept from the current version, defaults are
+  // applied on create and any violation raises a ValidationError
+  async applySchema(collection, data, currentData = null) {
+    const schema = await this.getSchema(collection);
+    if (!schema) {
+      return data;
+    }
+
+    const document = protectReadOnly(schema, JSON.parse(JSON.stringify(data)), currentData || {});
+    if (!currentData) {
+      applyDefaults(schema, document);
+    }
+    const systemFields = [this.getPrimaryKey(collection), ...SYSTEM_FIELDS];
+    for (const field of systemFields) {
+      if (data[field] !== undefined) {
+        document[field] = data[field];
+      }
+    }
+
+    const errors = validate(schema, document, '', systemFields);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    return document;
+  }
+
+  // Honor If-Match on mutating requests: false means the client is working
+  // on a stale (or missing) version and must get a 412
+  checkIfMatch(ifMatch, currentData) {
+    if (!ifMatch) return true;
+    return matchesETag(ifMatch, currentData ? computeETag(currentData) : null);
+  }
+
+  preconditionFailed(currentData) {
+    const headers = currentData ? { ETag: computeETag(currentData) } : {};
+    return new RequestError('Pré-condição falhou: o item foi modificado', 412, headers);
+  }
+
+  // If-None-Match on PUT: "*" only lets the request create the record
+  checkIfNoneMatch(ifNoneMatch, currentData) {
+    if (ifNoneMatch && currentData && matchesETag(ifNoneMatch, computeETag(currentData))) {
+      throw new RequestError('Pré-condição falhou: o item já existe', 412, { ETag: computeETag(currentData) });
+    }
+  }
+
+  // Caller of the request being served when its access must be checked:
+  // undefined for trusted calls (auth off, programmatic use, internal
+  // writes), null for anonymous requests
+  getRequestUser() {
+    const store = requestContext.getStore();
+    return this.auth && store ? store.user : undefined;
+  }
+
+  // Throw an AuthError (401/403) unless the caller may use `method` on the
+  // collection, or on `record` when given
+  authorize(collection, method, record) {
+    const user = this.getRequestUser();
+    if (user === undefined) return;
+    if (record === undefined) {
+      this.auth.authorizeCollection(user, collection, method);
+    } else {
+      this.auth.authorizeRecord(user, collection, method, record);
+    }
+  }
+
+  // Records of a listing the caller may use `method` on: owner rules narrow
+  // it down to the caller's own records
+  authorizeItems(collection, method, items) {
+    const user = this.getRequestUser();
+    if (user === undefined) return items;
+    const ownerOnly = this.auth.authorizeCollection(user, collection, method);
+    return ownerOnly ? items.filter(item => this.auth.isOwner(user, collection, item)) : items;
+  }
+
+  canRead(collection, record, user = this.getRequestUser()) {
+    return user === undefined || this.auth.canRead(user, collection, record);
+  }
+
+  // Fields only admins may set: the owner of records and the role of accounts
+  getProtectedFields(collection) {
+    return collection === this.auth.usersCollection ? ['ownerId', 'role'] : ['ownerId'];
+  }
+
+  // Records created by a signed-in caller belong to them (ownerId). Only
+  // admins may hand records over or change the role of an account.
+  protectAuthFields(collection, data, currentData = null) {
+    const user = this.getRequestUser();
+    if (user === undefined) return data;
+
+    if (!this.auth.isAdmin(user)) {
+      for (const field of this.getProtectedFields(collection)) {
+        if (currentData && currentData[field] !== undefined) {
+          data[field] = currentData[field];
+        } else {
+          delete data[field];
+        }
+      }
+    }
+    if (!currentData && user && collection !== this.auth.usersCollection && data.ownerId === undefined) {
+      data.ownerId = user.sub;
+    }
+    return data;
+  }
+
+  // Build the new version of a record for PUT (replacement) or PATCH
+  // (JSON Patch when `jsonPatch` is set, JSON Merge Patch otherwise)
+  buildUpdatedData(body, method, currentData, jsonPatch = false, primaryKey = 'id') {
+    if (method === 'PATCH' && jsonPatch) {
+      body = applyJsonPatch(currentData, body);
+    } else if (!isPlainObject(body)) {
+      throw new PatchError('O corpo da requisição deve ser um objeto JSON', 400);
+    } else if (method === 'PATCH') {
+      body = applyMergePatch(currentData, body);
+    }
+
+    if (!isPlainObject(body)) {
+      throw new PatchError('O resultado do patch deve ser um objeto JSON');
+    }
+
+    // The id and createdAt always survive the update
+    const updatedData = { ...body, [primaryKey]: currentData[primaryKey] };
+    if (currentData.createdAt !== undefined) {
+      updatedData.createdAt = currentData.createdAt;
+    }
+    updatedData.updatedAt = new Date().toISOString();
+    return updatedData;
+  }
+
+  // Every mutation ends here: it is kept in the history and published as a
+  // change event. `source` is "api" or "file" (edited by hand in dbPath).
+  async recordChange(collection, id, action, data, { type = ACTION_EVENTS[action], source = 'api' } = {}) {
+    const request = source === 'api' ? requestContext.getStore() || null : null;
+    if (action === 'purge') {
+      await this.history.remove(collection, id);
+    } else {
+      await this.history.record(collection, id, action, data, request);
+    }
+    this.publishChange({ type, action, collection, id, data, source });
+  }
+
+  publishChange(change) {
+    const event = { ...change, timestamp: new Date().toISOString() };
+    this.emit(event.type, event);
+    this.emit('change', event);
+  }
+
+  async handleFileChange(change) {
+    try {
+      await this.recordChange(change.collection, change.id, change.type, change.data, { source: 'file' });
+    } catch (error) {
+      console.error('Erro ao registrar alteração de arquivo:', error);
+    }
+  }
+
+  // Predicate for the ?collection= and ?type= parameters of the change feed.
+  // A collection also matches its subcollections (products -> products/books).
+  createEventFilter(query) {
+    const parseList = value => (Array.isArray(value) ? value : [value])
+      .filter(item => item !== undefined)
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim().replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean);
+    const collections = parseList(query.collection);
+    const types = parseList(query.type);
+
+    return event => {
+      if (types.length > 0 && !types.includes(event.type)) {
+        return false;
+      }
+      return collections.length === 0 || collections.some(collection => {
+        return event.collection === collection || event.collection.startsWith(`${collection}/`);
+      });
+    };
+  }
+
+  // Attach a feed client: `send` receives every matching event and the
+  // returned function detaches it. With auth on, `user` only gets the
+  // events of records it may read.
+  subscribe(query, send, user) {
+    const matches = this.createEventFilter(query);
+    const listener = event => {
+      if (matches(event) && this.canRead(event.collection, event.data || undefined, user)) {
+        send(event);
+      }
+    };
+    this.on('change', listener);
+    return () => this.off('change', listener);
+  }
+
+  handleWebSocket(socket, req, user) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = {
+      collection: url.searchParams.getAll('collection'),
+      type: url.searchParams.getAll('type')
+    };
+
+    const unsubscribe = this.subscribe(query, event => socket.send(JSON.stringify(event)), user);
+    socket.on('close', unsubscribe);
+    socket.on('error', unsubscribe);
+  }
+
+  // WebSocket side of the change feed. start() wires it to its own HTTP
+  // server; apps mounting getApp() elsewhere can forward their 'upgrade' events.
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/_events') {
+      socket.destroy();
+      return;
+    }
+
+    let user;
+    if (this.auth) {
+      try {
+        await this.auth.loadRules();
+        user = this.auth.authenticate({
+          authorization: req.headers.authorization,
+          apiKey: req.headers['x-api-key'],
+          accessToken: url.searchParams.get('access_token') || undefined
+        });
+      } catch (error) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nConnection: close\r\n\r\n');
+        return;
+      }
+    }
+    this.wss.handleUpgrade(req, socket, head, client => this.wss.emit('connection', client, req, user));
+  }
+
+  // Create a record in the collection targeted by a route, under the id of
+  // the URL for PUT upserts
+  async createItem(route, body, { id: pathId } = {}) {
+    if (!isPlainObject(body)) {
+      throw new RequestError('O item deve ser um objeto JSON', 400);
+    }
+    this.authorize(route.collection, 'POST');
+
+    // Only "client" collections take the id from the body
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const { [primaryKey]: requestedId, ...fields } = route.foreignKey ? { ...body, [route.foreignKey]: route.parentId } : body;
+    const chosen = pathId !== undefined || this.ids.getSettings(route.collection).strategy === 'client';
+    const id = pathId !== undefined
+      ? this.ids.parse(route.collection, pathId)
+      : await this.ids.generate(route.collection, this.storage, requestedId);
+    // Trashed records and children of other parents hold their id too
+    if (chosen && await this.storage.get(route.collection, String(id))) {
+      throw new RequestError(`Já existe um item com ${primaryKey} ${id}`, 409);
+    }
+    if (this.usesSoftDelete(route.collection)) {
+      delete fields.deletedAt;
+    }
+    this.protectAuthFields(route.collection, fields);
+    const data = await this.applySchema(route.collection, { [primaryKey]: id, ...fields, createdAt: new Date().toISOString() });
+    await this.storage.write(route.collection, String(id), data);
+    await this.recordChange(route.collection, String(id), 'create', data);
+    return data;
+  }
+
+  // Store the PUT or PATCH of an existing record
+  async saveUpdate(route, currentData, method, body, jsonPatch) {
+    this.authorize(route.collection, method, currentData);
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const newData = this.buildUpdatedData(body, method, currentData, jsonPatch, primaryKey);
+    if (route.foreignKey) {
+      newData[route.foreignKey] = currentData[route.foreignKey];
+    }
+    if (this.usesSoftDelete(route.collection)) {
+      delete newData.deletedAt;
+    }
+    this.protectAuthFields(route.collection, newData, currentData);
+    const updatedData = await this.applySchema(route.collection, newData, currentData);
+    // Storage keys are strings, even for numeric ids
+    const id = String(currentData[primaryKey]);
+    await this.storage.write(route.collection, id, updatedData);
+    await this.recordChange(route.collection, id, 'update', updatedData);
+    return updatedData;
+  }
+
+  async modifyItem(route, method, body, { ifMatch, jsonPatch } = {}) {
+    const currentData = await this.getItem(route);
+    if (!this.checkIfMatch(ifMatch, currentData)) {
+      throw this.preconditionFailed(currentData);
+    }
+    if (!currentData) {
+      throw new RequestError('Item não encontrado', 404);
+    }
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const id = currentData[primaryKey] !== undefined ? currentData[primaryKey] : route.id;
+    return this.saveUpdate(route, { ...currentData, [primaryKey]: id }, method, body, jsonPatch);
+  }
+
+  // PUT: replace the record, or create it when upserts are on. Returns
+  // whether it was created.
+  async putItem(route, body, { ifMatch, ifNoneMatch } = {}) {
+    const currentData = await this.getItem(route);
+    this.checkIfNoneMatch(ifNoneMatch, currentData);
+    if (!currentData && !ifMatch && route.collection && this.allowsUpsert(route.collection)) {
+      return { data: await this.createItem(route, body, { id: route.id }), created: true };
+    }
+    return { data: await this.modifyItem(route, 'PUT', body, { ifMatch }), created: false };
+  }
+
+  // Move the item to the trash when soft delete is on, or remove it for
+  // good (always the case with `purge`, which also reaches trashed items)
+  async deleteItem(route, { ifMatch, purge = false } = {}) {
+    const softDelete = this.usesSoftDelete(route.collection) && !purge;
+
+    if (ifMatch || route.foreignKey || softDelete || this.getRequestUser() !== undefined) {
+      const currentData = await this.getItem(route, { includeDeleted: purge });
+      if (!this.checkIfMatch(ifMatch, currentData)) {
+        throw this.preconditionFailed(currentData);
+      }
+      if (!currentData) {
+        throw new RequestError('Item não encontrado', 404);
+      }
+      this.authorize(route.collection, 'DELETE', currentData);
+      if (softDelete) {
+        const trashedData = { ...currentData, deletedAt: new Date().toISOString() };
+        await this.storage.write(route.collection, route.id, trashedData);
+        await this.recordChange(route.collection, route.id, 'delete', trashedData);
+        return;
+      }
+    }
+
+    const removed = await this.storage.remove(route.collection, route.id);
+    if (!removed) {
+      throw new RequestError('Item não encontrado', 404);
+    }
+
+    // A purged item leaves nothing behind; a plain delete can be rolled back
+    await this.recordChange(route.collection, route.id, purge ? 'purge' : 'delete', null);
+  }
+
+  // Take an item out of the trash
+  async restoreItem(route) {
+    const currentData = await this.getItem(route, { includeDeleted: true });
+    if (!currentData) {
+      throw new RequestError('Item não encontrado', 404);
+    }
+    if (!this.isDeleted(route.collection, currentData)) {
+      throw new RequestError('O item não está na lixeira', 409);
+    }
+    this.authorize(route.collection, 'PATCH', currentData);
+
+    const { deletedAt, ...data } = currentData;
+    data.updatedAt = new Date().toISOString();
+    await this.storage.write(route.collection, route.id, data);
+    await this.recordChange(route.collection, route.id, 'restore', data);
+    return data;
+  }
+
+  // Bring an item back to the state saved in a revision of its history,
+  // recreating it if it was removed meanwhile
+  async rollbackItem(route, rev, { ifMatch } = {}) {
+    const revision = await this.history.get(route.collection, route.id, rev);
+    if (!revision) {
+      throw new RequestError('Revisão não encontrada', 404);
+    }
+    if (!revision.data) {
+      throw new RequestError('A revisão não contém dados: o item foi removido nela', 409);
+    }
+
+    const currentData = await this.getItem(route, { includeDeleted: true });
+    if (!this.checkIfMatch(ifMatch, currentData)) {
+      throw this.preconditionFailed(currentData);
+    }
+    this.authorize(route.collection, currentData ? 'PATCH' : 'POST', currentData || revision.data);
+
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const { deletedAt, ...fields } = revision.data;
+    const newData = {
+      ...fields,
+      [primaryKey]: fields[primaryKey] !== undefined ? fields[primaryKey] : route.id,
+      updatedAt: new Date().toISOString()
+    };
+    if (deletedAt !== undefined && !this.usesSoftDelete(route.collection)) {
+      newData.deletedAt = deletedAt;
+    }
+    if (currentData && currentData.createdAt !== undefined) {
+      newData.createdAt = currentData.createdAt;
+    }
+    this.protectAuthFields(route.collection, newData, currentData || revision.data);
+
+    const data = await this.applySchema(route.collection, newData, currentData);
+    await this.storage.write(route.collection, route.id, data);
+    await this.recordChange(route.collection, route.id, 'rollback', data, { type: currentData ? 'update' : 'create' });
+    return data;
+  }
+
+  // Remove for good the trashed items of a route deleted at least
+  // `olderThan` milliseconds ago (all of them by default)
+  async purgeItems(route, olderThan = 0) {
+    const cutoff = Date.now() - olderThan;
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const items = this.authorizeItems(route.collection, 'DELETE', await this.listItems(route, { includeDeleted: true }));
+    const purged = [];
+
+    for (const item of items) {
+      if (!this.isDeleted(route.collection, item) || Date.parse(item.deletedAt) > cutoff) {
+        continue;
+      }
+      const id = String(item[primaryKey]);
+      if (await this.storage.remove(route.collection, id)) {
+        await this.recordChange(route.collection, id, 'purge', null);
+        purged.push(item[primaryKey]);
+      }
+    }
+    return purged;
+  }
+
+  // Programmatic purge: server.purge('users', { olderThan: '7d' })
+  async purge(collection, { olderThan = 0 } = {}) {
+    const duration = parseDuration(olderThan);
+    if (duration === null) {
+      throw new RequestError(`Duração inválida: ${olderThan}`, 400);
+    }
+    return this.purgeItems(this.parseRoute(collection, false), duration);
+  }
+
+  // Import a database in the db.json layout, e.g. json-server fixtures
+  async importData(data, options) {
+    return importData(this.storage, data, { ...options, ids: this.ids });
+  }
+
+  async importFile(filePath, options) {
+    return this.importData(await readDataFile(filePath), options);
+  }
+
+  // Export every collection (or `collections`) in the db.json layout
+  async exportData(options) {
+    return exportData(this.storage, options);
+  }
+
+  // OpenAPI description of every collection, with the declared schemas or
+  // ones inferred from the stored records
+  async getOpenApiDocument(req) {
+    const names = [...new Set([...(await this.storage.listCollections()), ...Object.keys(this.schemas)])].sort();
+    const collections = [];
+    for (const name of names) {
+      const { primaryKey, strategy } = this.ids.getSettings(name);
+      collections.push({ name, records: await this.storage.list(name), schema: await this.getSchema(name), primaryKey, strategy });
+    }
+
+    return buildDocument({
+      title: 'Generic REST API',
+      version,
+      serverUrl: req ? `${req.protocol}://${req.get('host')}` : null,
+      collections,
+      auth: Boolean(this.auth),
+      softDelete: collection => this.usesSoftDelete(collection),
+      upsert: collection => this.allowsUpsert(collection)
+    });
+  }
+
+  // Run `operation` alone: requests arriving meanwhile wait for it, so they
+  // never see a database halfway through a restore
+  exclusive(operation) {
+    const run = (this.maintenance || Promise.resolve()).then(operation);
+    const done = run.catch(() => {}).then(() => {
+      if (this.maintenance === done) this.maintenance = null;
+    });
+    this.maintenance = done;
+    return run;
+  }
+
+  describeSnapshot(snapshot) {
+    const collections = {};
+    Object.entries(snapshot.collections).forEach(([collection, records]) => {
+      if (!this.storage.isInternalCollection(collection)) collections[collection] = records.length;
+    });
+    return { name: snapshot.id, createdAt: snapshot.createdAt, collections };
+  }
+
+  // Save every collection - history, accounts and other internal data
+  // included - under `name`, replacing any snapshot with that name
+  async createSnapshot(name) {
+    if (typeof name !== 'string' || !SNAPSHOT_NAME_REGEX.test(name)) {
+      throw new ValidationError([{ field: 'name', message: 'deve conter apenas letras, números, ".", "_" e "-"' }]);
+    }
+
+    return this.exclusive(async () => {
+      const snapshot = {
+        id: name,
+        createdAt: new Date().toISOString(),
+        collections: await dumpStorage(this.storage, { exclude: [SNAPSHOTS_COLLECTION] })
+      };
+      await this.storage.write(SNAPSHOTS_COLLECTION, name, snapshot);
+      return this.describeSnapshot(snapshot);
+    });
+  }
+
+  async listSnapshots() {
+    const snapshots = await this.storage.list(SNAPSHOTS_COLLECTION);
+    return snapshots.map(snapshot => this.describeSnapshot(snapshot)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getSnapshot(name) {
+    const snapshot = await this.storage.get(SNAPSHOTS_COLLECTION, String(name));
+    if (!snapshot) {
+      throw new RequestError(`Snapshot não encontrado: ${name}`, 404);
+    }
+    return snapshot;
+  }
+
+  async deleteSnapshot(name) {
+    if (!(await this.storage.remove(SNAPSHOTS_COLLECTION, String(name)))) {
+      throw new RequestError(`Snapshot não encontrado: ${name}`, 404);
+    }
+  }
+
+  // Bring the whole database back to a snapshot. Records are not announced
+  // as changes, but the history comes back as it was.
+  async restoreSnapshot(name) {
+    return this.exclusive(async () => {
+      const snapshot = await this.getSnapshot(name);
+      await restoreStorage(this.storage, snapshot.collections, { exclude: [SNAPSHOTS_COLLECTION] });
+      return this.describeSnapshot(snapshot);
+    });
+  }
+
+  // Empty the database (snapshots are kept) and load the startup data
+  // again: the `seed` snapshot, then the `from` file
+  async reset() {
+    await this.exclusive(async () => {
+      const snapshot = this.seed ? await this.getSnapshot(this.seed) : null;
+      await restoreStorage(this.storage, snapshot ? snapshot.collections : {}, { exclude: [SNAPSHOTS_COLLECTION] });
+      if (this.from) {
+        await this.importFile(this.from, { mode: 'replace' });
+      }
+    });
+  }
+
+  // Run `operation` on each entry, collecting the results and the expected
+  // failures (validation, patch errors...) instead of stopping at the first
+  async runEach(entries, operation) {
+    const results = [];
+    const errors = [];
+
+    for (const [index, entry] of entries.entries()) {
+      try {
+        results.push(await operation(entry, index));
+      } catch (error) {
+        const known = this.describeError(error);
+        if (!known) {
+          throw error;
+        }
+        errors.push({ index, status: known.status, ...known.body });
+      }
+    }
+    return { results, errors };
+  }
+
+  // POST with an array body: create every valid record
+  async createItems(route, bodies) {
+    this.authorize(route.collection, 'POST');
+    const { results, errors } = await this.runEach(bodies, body => this.createItem(route, body));
+    return { created: results, errors };
+  }
+
+  // PUT or PATCH on a collection with filters: update every matching record
+  async updateItems(route, query, method, body, jsonPatch) {
+    if (!jsonPatch && !isPlainObject(body)) {
+      throw new PatchError('O corpo da requisição deve ser um objeto JSON', 400);
+    }
+
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const items = matchItems(this.authorizeItems(route.collection, method, await this.listItems(route)), query);
+    const { results, errors } = await this.runEach(items, item => this.saveUpdate(route, item, method, body, jsonPatch));
+    return {
+      updated: results,
+      errors: errors.map(({ index, ...error }) => ({ id: items[index][primaryKey], ...error }))
+    };
+  }
+
+  // DELETE on a collection with filters: remove (or trash) every matching record
+  async deleteItems(route, query) {
+    const purge = query._purge === 'true';
+    const items = matchItems(this.authorizeItems(route.collection, 'DELETE', await this.listItems(route, { includeDeleted: purge })), query);
+    const primaryKey = this.getPrimaryKey(route.collection);
+    const deleted = [];
+    for (const item of items) {
+      await this.deleteItem({ ...route, id: String(item[primaryKey]) }, { purge });
+      deleted.push(item[primaryKey]);
+    }
+    return { message: `${deleted.length} itens removidos com sucesso`, deleted };
+  }
+
+  // Collection-wide PATCH and DELETE need filters so a bare request on a
+  // collection can never touch every record by accident
+  isBulkRequest(req) {
+    const route = this.parseRoute(req.path);
+    return !route.id && hasFilters(req.query);
+  }
+
+  // A single /_batch operation: { method, path, body, headers }
+  async runBatchOperation(operation) {
+    if (!isPlainObject(operation) || typeof operation.path !== 'string') {
+      throw new RequestError('Operação inválida: method e path são obrigatórios', 400);
+    }
+
+    const method = String(operation.method || '').toUpperCase();
+    if (!BATCH_METHODS.includes(method)) {
+      throw new RequestError(`Método não suportado em lote: ${operation.method}`, 405);
+    }
+
+    const headers = {};
+    Object.entries(isPlainObject(operation.headers) ? operation.headers : {}).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    const requestPath = operation.path.split('?')[0];
+    if (this.getPathParts(requestPath).length === 0) {
+      throw new RequestError('Caminho inválido', 400);
+    }
+    if (this.isReservedPath(requestPath)) {
+      throw new RequestError('Rota não encontrada', 404);
+    }
+
+    const route = this.parseRoute(requestPath, method !== 'POST');
+    if (!(await this.checkParents(route))) {
+      throw new RequestError('Recurso pai não encontrado', 404);
+    }
+
+    if (method === 'POST') {
+      return { status: 201, body: await this.createItem(route, operation.body) };
+    }
+    if (method === 'DELETE') {
+      await this.deleteItem(route, { ifMatch: headers['if-match'] });
+      const message = this.usesSoftDelete(route.collection) ? 'Item movido para a lixeira' : 'Item removido com sucesso';
+      return { status: 200, body: { message, id: route.id } };
+    }
+
+    if (method === 'PUT') {
+      const { data, created } = await this.putItem(route, operation.body, {
+        ifMatch: headers['if-match'],
+        ifNoneMatch: headers['if-none-match']
+      });
+      return { status: created ? 201 : 200, body: data };
+    }
+
+    const contentType = String(headers['content-type'] || '');
+    const data = await this.modifyItem(route, method, operation.body, {
+      ifMatch: headers['if-match'],
+      jsonPatch: contentType.includes('json-patch') || (method === 'PATCH' && Array.isArray(operation.body))
+    });
+    return { status: 200, body: data };
+  }
+
+  // Account matching the email (case-insensitive) or username of `fields`
+  async findUser({ email, username }) {
+    const users = await this.storage.list(this.auth.usersCollection);
+    return users.find(user => {
+      if (this.isDeleted(this.auth.usersCollection, user)) return false;
+      if (email !== undefined && typeof user.email === 'string') {
+        return user.email.toLowerCase() === String(email).toLowerCase();
+      }
+      return username !== undefined && user.username === username;
+    }) || null;
+  }
+
+  createSession(user) {
+    return {
+      accessToken: this.auth.issueToken(user),
+      tokenType: 'Bearer',
+      expiresIn: Math.floor(this.auth.expiresIn / 1000),
+      user
+    };
+  }
+
+  // Create an account in the users collection and sign it in. The password
+  // is hashed and stored apart, so it never shows up in the records.
+  async register(body) {
+    if (!isPlainObject(body)) {
+      throw new RequestError('O corpo da requisição deve ser um objeto JSON', 400);
+    }
+
+    const { password, ...fields } = body;
+    const errors = [];
+    if (typeof fields.email !== 'string' && typeof fields.username !== 'string') {
+      errors.push({ field: 'email', message: 'email ou username é obrigatório' });
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+      errors.push({ field: 'password', message: 'deve ter pelo menos 6 caracteres' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    if (await this.findUser(fields)) {
+      throw new RequestError('Usuário já cadastrado', 409);
+    }
+
+    // New accounts always get the default role and no owner, whatever the
+    // rules say about creating users (createItem runs as a trusted call)
+    const account = { ...fields };
+    this.getProtectedFields(this.auth.usersCollection).forEach(field => delete account[field]);
+    const route = this.parseRoute(this.auth.usersCollection, false);
+    const store = { ...requestContext.getStore(), user: undefined };
+    const user = await requestContext.run(store, () => this.createItem(route, { ...account, role: this.auth.defaultRole }));
+    const id = String(user[this.auth.userIdField]);
+    await this.storage.write(CREDENTIALS_COLLECTION, id, { id, password: await hashPassword(password) });
+    return this.createSession(user);
+  }
+
+  async login(body) {
+    const { email, username, password } = isPlainObject(body) ? body : {};
+    if ((email === undefined && username === undefined) || typeof password !== 'string') {
+      throw new RequestError('Informe email (ou username) e password', 400);
+    }
+
+    const user = await this.findUser({ email, username });
+    const credentials = user ? await this.storage.get(CREDENTIALS_COLLECTION, String(user[this.auth.userIdField])) : null;
+    if (!credentials || !(await verifyPassword(password, credentials.password))) {
+      throw new AuthError('Credenciais inválidas');
+    }
+    return this.createSession(user);
+  }
+
+  async updateItem(req, res, method) {
+    try {
+      if (this.getPathParts(req.path).length === 0) {
+        return res.status(400).json({ error: 'ID é obrigatório para atualização' });
+      }
+      
+      const jsonPatch = Boolean(req.is('application/json-patch+json'));
+      
+      if (method === 'PATCH' && this.isBulkRequest(req)) {
+        const route = this.parseRoute(req.path, false);
+        if (!(await this.checkParents(route))) {
+          return this.sendParentNotFound(res);
+        }
+        
+        const result = await this.updateItems(route, req.query, method, req.body, jsonPatch);
+        return res.status(result.errors.length > 0 ? 207 : 200).json(result);
+      }
+      
+      const route = this.parseRoute(req.path, true);
+      
+      if (!(await this.checkParents(route))) {
+        return this.sendParentNotFound(res);
+      }
+      
+      if (method === 'PUT') {
+        const { data, created } = await this.putItem(route, req.body, {
+          ifMatch: req.get('If-Match'),
+          ifNoneMatch: req.get('If-None-Match')
+        });
+        res.set('ETag', computeETag(data));
+        if (created) {
+          res.location(req.baseUrl + req.path);
+          return res.status(201).json(data);
+        }
+        return res.json(data);
+      }
+      
+      const updatedData = await this.modifyItem(route, method, req.body, { ifMatch: req.get('If-Match'), jsonPatch });
+      
+      res.set('ETag', computeETag(updatedData));
+      res.json(updatedData);
+    } catch (error) {
+      this.sendError(req, res, error);
+    }
+  }
+
+  // Accounts - /_auth/register, /_auth/login and /_auth/me
+  setupAuthRoutes() {
+    this.app.post('/_auth/register', async (req, res) => {
+      try {
+        res.status(201).json(await this.register(req.body));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.post('/_auth/login', async (req, res) => {
+      try {
+        res.json(await this.login(req.body));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.get('/_auth/me', async (req, res) => {
+      try {
+        const user = this.getRequestUser();
+        if (!user) {
+          throw new AuthError('Autenticação necessária');
+        }
+        
+        // API keys have no account behind them
+        const account = user.type === 'token' ? await this.storage.get(this.auth.usersCollection, user.sub) : null;
+        res.json(account || { id: user.sub, role: user.role });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+  }
+
+  // Administration - import/export, snapshots and reset under /_admin
+  setupAdminRoutes() {
+    // Access follows the rules of the "_admin" key (admins only by default)
+    this.app.use('/_admin', (req, res, next) => {
+      try {
+        this.authorize('_admin', req.method);
+        next();
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
     
-    this.app.use(express.json());
+    this.app.get('/_admin/export', async (req, res) => {
+      try {
+        const collections = String(req.query.collections || '').split(',').map(item => item.trim()).filter(Boolean);
+        res.set('Content-Disposition', 'attachment; filename="db.json"');
+        res.json(await this.exportData({ collections }));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
     
-    // Verbose logging middleware
-    if (this.verbose) {
-      this.app.use((req, res, next) => {
-        const startTime = Date.now();
-        const timestamp = new Date().toISOString();
-        
-        console.log(`\n📥 [${timestamp}] ${req.method} ${req.path}`);
-        console.log(`   Query: ${JSON.stringify(req.query)}`);
-        console.log(`   Body: ${JSON.stringify(req.body)}`);
-        console.log(`   Headers: ${JSON.stringify(req.headers)}`);
-        
-        // Override res.json to log response
-        const originalJson = res.json;
-        res.json = function(data) {
-          const endTime = Date.now();
-          const duration = endTime - startTime;
-          
-          console.log(`📤 [${new Date().toISOString()}] Response (${duration}ms):`);
-          console.log(`   Status: ${res.statusCode}`);
-          console.log(`   Data: ${JSON.stringify(data, null, 2)}`);
-          
-          return originalJson.call(this, data);
-        };
-        
+    this.app.post('/_admin/import', async (req, res) => {
+      try {
+        const result = await this.importData(req.body, { mode: req.query.mode || 'merge' });
+        const total = Object.values(result.imported).reduce((sum, count) => sum + count, 0);
+        res.json({ message: `${total} itens importados`, ...result });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.get('/_admin/snapshots', async (req, res) => {
+      try {
+        res.json(await this.listSnapshots());
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.post('/_admin/snapshots', async (req, res) => {
+      try {
+        res.status(201).json(await this.createSnapshot(req.body.name));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.get('/_admin/snapshots/:name', async (req, res) => {
+      try {
+        res.json(this.describeSnapshot(await this.getSnapshot(req.params.name)));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.delete('/_admin/snapshots/:name', async (req, res) => {
+      try {
+        await this.deleteSnapshot(req.params.name);
+        res.json({ message: 'Snapshot removido com sucesso', name: req.params.name });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.post('/_admin/snapshots/:name/restore', async (req, res) => {
+      try {
+        const snapshot = await this.restoreSnapshot(req.params.name);
+        res.json({ message: 'Snapshot restaurado com sucesso', ...snapshot });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.post('/_admin/reset', async (req, res) => {
+      try {
+        await this.reset();
+        res.json({ message: 'Banco de dados reiniciado', seed: this.seed, from: this.from });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+  }
+
+  // API description - /_openapi.json and the Swagger UI page at /_docs,
+  // served from the swagger-ui-dist package so it works offline
+  setupDocsRoutes() {
+    // Access follows the rules of the "_docs" key (or "*")
+    const authorizeDocs = (req, res, next) => {
+      try {
+        this.authorize('_docs', 'GET');
         next();
-      });
-    }
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    };
+
+    this.app.get('/_openapi.json', authorizeDocs, async (req, res) => {
+      try {
+        res.json(await this.getOpenApiDocument(req));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+
+    // The page uses relative URLs, so /_docs must end with a slash
+    this.app.get('/_docs', authorizeDocs, (req, res) => {
+      if (!req.originalUrl.split('?')[0].endsWith('/')) {
+        return res.redirect(301, '/_docs/');
+      }
+      res.type('html').send(renderDocsPage('Generic REST API', '../_openapi.json'));
+    });
+    this.app.use('/_docs', authorizeDocs, express.static(path.dirname(require.resolve('swagger-ui-dist/package.json')), { index: false }));
   }
 
-  async ensureDirectoryExists(dirPath) {
-    try {
-      await fs.access(dirPath);
-    } catch (error) {
-      await fs.mkdir(dirPath, { recursive: true });
-    }
+  // GraphQL over GET (queries only) and POST
+  setupGraphQLRoutes() {
+    this.app.all('/graphql', async (req, res) => {
+      try {
+        if (!['GET', 'POST'].includes(req.method)) {
+          res.set('Allow', 'GET, POST');
+          return res.status(405).json({ errors: [{ message: 'Use GET ou POST' }] });
+        }
+        const params = req.method === 'GET' ? req.query : (req.body || {});
+        const { status, body, headers } = await this.graphql.execute(params, { method: req.method });
+        res.set(headers || {});
+        res.status(status).json(body);
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
   }
 
-  getDbPath(requestPath) {
-    const cleanPath = requestPath.startsWith('/') ? requestPath.slice(1) : requestPath;
-    return path.join(this.dbPath, cleanPath);
+  // Webhook registry - /_webhooks, /_webhooks/:id and its delivery log
+  setupWebhookRoutes() {
+    const sendWebhookNotFound = res => res.status(404).json({ error: 'Webhook não encontrado' });
+    
+    // Access follows the rules of the "_webhooks" key (or "*")
+    this.app.use('/_webhooks', (req, res, next) => {
+      try {
+        this.authorize('_webhooks', req.method);
+        next();
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.get('/_webhooks', async (req, res) => {
+      try {
+        res.json(await this.webhooks.list());
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.post('/_webhooks', async (req, res) => {
+      try {
+        res.status(201).json(await this.webhooks.create(req.body));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.get('/_webhooks/:id', async (req, res) => {
+      try {
+        const hook = await this.webhooks.get(req.params.id);
+        return hook ? res.json(hook) : sendWebhookNotFound(res);
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.patch('/_webhooks/:id', async (req, res) => {
+      try {
+        const hook = await this.webhooks.update(req.params.id, req.body);
+        return hook ? res.json(hook) : sendWebhookNotFound(res);
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.delete('/_webhooks/:id', async (req, res) => {
+      try {
+        if (!(await this.webhooks.remove(req.params.id))) {
+          return sendWebhookNotFound(res);
+        }
+        res.json({ message: 'Webhook removido com sucesso', id: req.params.id });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+    
+    this.app.get('/_webhooks/:id/deliveries', async (req, res) => {
+      try {
+        if (!(await this.webhooks.get(req.params.id))) {
+          return sendWebhookNotFound(res);
+        }
+        res.json(this.webhooks.getDeliveries(req.params.id));
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
   }
 
   setupRoutes() {
-    // GET route - List items or get specific item
-    this.app.get('*', async (req, res) => {
+    // Batch route - Run several operations in one request
+    this.app.post('/_batch', async (req, res) => {
       try {
-        const requestPath = req.path;
-        const pathParts = requestPath.split('/').filter(part => part !== '');
+        const operations = Array.isArray(req.body) ? req.body : req.body.operations;
+        if (!Array.isArray(operations)) {
+          return res.status(400).json({ error: 'O corpo deve ser uma lista de operações' });
+        }
         
-        if (pathParts.length > 0) {
-          const lastPart = pathParts[pathParts.length - 1];
-          
-          const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-          
-          if (uuidRegex.test(lastPart)) {
-            const id = pathParts.pop();
-            const dirPath = this.getDbPath(pathParts.join('/'));
-            const filePath = path.join(dirPath, `${id}.json`);
-            
-            try {
-              await fs.access(filePath);
-              const content = await fs.readFile(filePath, 'utf8');
-              const data = JSON.parse(content);
-              return res.json(data);
-            } catch (error) {
-              if (error.code === 'ENOENT') {
-                return res.status(404).json({ error: 'Item não encontrado' });
-              } else {
-                throw error;
-              }
+        // Operations run in order and independently: a failed one does not
+        // undo or stop the others
+        const results = [];
+        for (const operation of operations) {
+          try {
+            results.push(await this.runBatchOperation(operation));
+          } catch (error) {
+            const known = this.describeError(error);
+            if (!known) {
+              throw error;
             }
+            results.push({ status: known.status, body: known.body });
           }
         }
         
-        const fullPath = this.getDbPath(requestPath);
+        res.json({ results });
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+
+    // Restore route - Take a soft-deleted item out of the trash
+    this.app.post(/\/_restore$/, async (req, res) => {
+      try {
+        const route = this.parseRoute(req.path.slice(0, -'/_restore'.length), true);
         
-        try {
-          const stats = await fs.stat(fullPath);
-          
-          if (stats.isDirectory()) {
-            const files = await fs.readdir(fullPath);
-            const jsonFiles = files.filter(file => file.endsWith('.json'));
-            
-            let items = [];
-            for (const file of jsonFiles) {
-              const filePath = path.join(fullPath, file);
-              const content = await fs.readFile(filePath, 'utf8');
-              const data = JSON.parse(content);
-              items.push({ id: path.parse(file).name, ...data });
-            }
-            
-            const queryParams = req.query;
-            if (Object.keys(queryParams).length > 0) {
-              items = items.filter(item => {
-                return Object.entries(queryParams).every(([key, value]) => {
-                  if (key === '_limit' || key === '_offset' || key === '_sort' || key === '_order') {
-                    return true;
-                  }
-                  
-                  if (!(key in item)) {
-                    return false;
-                  }
-                  
-                  const itemValue = item[key];
-                  
-                  const itemValueStr = String(itemValue).toLowerCase();
-                  const filterValueStr = String(value).toLowerCase();
-                  
-                  if (filterValueStr.startsWith('>=')) {
-                    const numValue = parseFloat(filterValueStr.slice(2));
-                    return !isNaN(numValue) && parseFloat(itemValue) >= numValue;
-                  }
-                  if (filterValueStr.startsWith('<=')) {
-                    const numValue = parseFloat(filterValueStr.slice(2));
-                    return !isNaN(numValue) && parseFloat(itemValue) <= numValue;
-                  }
-                  if (filterValueStr.startsWith('>')) {
-                    const numValue = parseFloat(filterValueStr.slice(1));
-                    return !isNaN(numValue) && parseFloat(itemValue) > numValue;
-                  }
-                  if (filterValueStr.startsWith('<')) {
-                    const numValue = parseFloat(filterValueStr.slice(1));
-                    return !isNaN(numValue) && parseFloat(itemValue) < numValue;
-                  }
-                  if (filterValueStr.startsWith('!=')) {
-                    return itemValueStr !== filterValueStr.slice(2);
-                  }
-                  if (filterValueStr.includes('*')) {
-                    const regex = new RegExp(filterValueStr.replace(/\*/g, '.*'), 'i');
-                    return regex.test(itemValueStr);
-                  }
-                  
-                  return itemValueStr === filterValueStr;
-                });
-              });
-            }
-            
-            if (queryParams._sort) {
-              const sortField = queryParams._sort;
-              const sortOrder = queryParams._order === 'desc' ? -1 : 1;
-              
-              items.sort((a, b) => {
-                const aValue = a[sortField];
-                const bValue = b[sortField];
-                
-                if (aValue === undefined) return 1;
-                if (bValue === undefined) return -1;
-                
-                if (typeof aValue === 'string' && typeof bValue === 'string') {
-                  return aValue.localeCompare(bValue) * sortOrder;
-                }
-                
-                if (aValue < bValue) return -1 * sortOrder;
-                if (aValue > bValue) return 1 * sortOrder;
-                return 0;
-              });
-            }
-            
-            if (queryParams._offset || queryParams._limit) {
-              const offset = parseInt(queryParams._offset) || 0;
-              const limit = parseInt(queryParams._limit);
-              
-              if (limit) {
-                items = items.slice(offset, offset + limit);
-              } else if (offset) {
-                items = items.slice(offset);
-              }
-            }
-            
-            res.json(items);
-          } else if (stats.isFile() && fullPath.endsWith('.json')) {
-            const content = await fs.readFile(fullPath, 'utf8');
-            const data = JSON.parse(content);
-            res.json(data);
-          } else {
-            res.status(404).json({ error: 'Arquivo não encontrado' });
-          }
-        } catch (error) {
-          if (error.code === 'ENOENT') {
-            res.json([]);
-          } else {
-            throw error;
-          }
+        if (!route.id || !(await this.checkParents(route))) {
+          return res.status(404).json({ error: 'Item não encontrado' });
         }
+        
+        const data = await this.restoreItem(route);
+        
+        res.set('ETag', computeETag(data));
+        res.json(data);
       } catch (error) {
-        if (this.verbose) {
-          console.error(`❌ [${new Date().toISOString()}] Erro no GET ${req.path}:`, error);
-        }
-        console.error('Erro no GET:', error);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        this.sendError(req, res, error);
       }
     });
 
-    // POST route - Create new item
-    this.app.post('*', async (req, res) => {
+    // Purge route - Remove trashed items for good (?olderThan=7d)
+    this.app.post(/\/_purge$/, async (req, res) => {
       try {
-        const requestPath = req.path;
-        const fullPath = this.getDbPath(requestPath);
+        const route = this.parseRoute(req.path.slice(0, -'/_purge'.length), false);
         
-        await this.ensureDirectoryExists(fullPath);
-        
-        const id = uuidv4();
-        const fileName = `${id}.json`;
-        const filePath = path.join(fullPath, fileName);
+        if (!(await this.checkParents(route))) {
+          return this.sendParentNotFound(res);
+        }
         
-        const data = { id, ...req.body, createdAt: new Date().toISOString() };
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+        const olderThan = parseDuration(req.query.olderThan === undefined ? 0 : req.query.olderThan);
+        if (olderThan === null) {
+          return res.status(400).json({ error: `Duração inválida: ${req.query.olderThan}` });
+        }
         
-        res.status(201).json(data);
+        const purged = await this.purgeItems(route, olderThan);
+        res.json({ message: `${purged.length} itens removidos definitivamente`, purged });
       } catch (error) {
-        if (this.verbose) {
-          console.error(`❌ [${new Date().toISOString()}] Erro no POST ${req.path}:`, error);
-        }
-        console.error('Erro no POST:', error);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        this.sendError(req, res, error);
       }
     });
 
-    // PUT route - Update item (complete replacement)
-    this.app.put('*', async (req, res) => {
+    // History routes - Revisions of an item and rollback to one of them
+    this.app.get(/^(.*)\/_history(?:\/(\d+))?$/, async (req, res) => {
       try {
-        const requestPath = req.path;
-        const pathParts = requestPath.split('/').filter(part => part !== '');
+        const route = this.parseRoute(req.params[0], true);
         
-        if (pathParts.length === 0) {
-          return res.status(400).json({ error: 'ID é obrigatório para atualização' });
+        if (!route.id || !(await this.checkParents(route))) {
+          return res.status(404).json({ error: 'Item não encontrado' });
         }
         
-        const id = pathParts.pop();
-        const dirPath = this.getDbPath(pathParts.join('/'));
-        const filePath = path.join(dirPath, `${id}.json`);
+        const revisions = await this.history.list(route.collection, route.id);
+        const currentData = await this.getItem(route, { includeDeleted: true });
+        if (revisions.length === 0 && !currentData) {
+          return res.status(404).json({ error: 'Item não encontrado' });
+        }
         
-        try {
-          await fs.access(filePath);
-          
-          const currentContent = await fs.readFile(filePath, 'utf8');
-          const currentData = JSON.parse(currentContent);
-          
-          const updatedData = { 
-            ...currentData, 
-            ...req.body, 
-            id: id,
-            updatedAt: new Date().toISOString() 
-          };
-          
-          await fs.writeFile(filePath, JSON.stringify(updatedData, null, 2));
-          
-          res.json(updatedData);
-        } catch (error) {
-          if (error.code === 'ENOENT') {
-            res.status(404).json({ error: 'Item não encontrado' });
-          } else {
-            throw error;
+        // Removed items are checked against their last known state
+        const lastKnown = revisions.find(revision => revision.data);
+        this.authorize(route.collection, 'GET', currentData || (lastKnown ? lastKnown.data : {}));
+        
+        if (req.params[1] !== undefined) {
+          const revision = revisions.find(item => item.rev === Number(req.params[1]));
+          if (!revision) {
+            return res.status(404).json({ error: 'Revisão não encontrada' });
           }
+          return res.json(revision);
         }
+        
+        res.json(revisions);
       } catch (error) {
-        if (this.verbose) {
-          console.error(`❌ [${new Date().toISOString()}] Erro no PUT ${req.path}:`, error);
+        this.sendError(req, res, error);
+      }
+    });
+
+    this.app.post(/^(.*)\/_history\/(\d+)\/_rollback$/, async (req, res) => {
+      try {
+        const route = this.parseRoute(req.params[0], true);
+        
+        if (!route.id || !(await this.checkParents(route))) {
+          return res.status(404).json({ error: 'Item não encontrado' });
         }
-        console.error('Erro no PUT:', error);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        
+        const data = await this.rollbackItem(route, Number(req.params[1]), { ifMatch: req.get('If-Match') });
+        
+        res.set('ETag', computeETag(data));
+        res.json(data);
+      } catch (error) {
+        this.sendError(req, res, error);
+      }
+    });
+
+    if (this.auth) {
+      this.setupAuthRoutes();
+    }
+
+    this.setupAdminRoutes();
+    this.setupWebhookRoutes();
+    this.setupDocsRoutes();
+    if (this.graphql) {
+      this.setupGraphQLRoutes();
+    }
+
+    // Change feed - Server-Sent Events (?collection=orders&type=create,update)
+    this.app.get('/_events', (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+      res.write(': conectado\n\n');
+      
+      const unsubscribe = this.subscribe(req.query, event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }, this.getRequestUser());
+      // Comments keep proxies from closing an idle stream
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+      
+      const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        this.eventStreams.delete(close);
+        res.end();
+      };
+      this.eventStreams.add(close);
+      req.on('close', close);
+    });
+
+    // The endpoints above and the internal collections (history, snapshots,
+    // credentials) are never reached as collections or records. Other
+    // names starting with "_" are regular data.
+    this.app.use((req, res, next) => {
+      if (this.isReservedPath(req.path)) {
+        return res.status(404).json({ error: 'Rota não encontrada' });
       }
+      next();
     });
 
-    // PATCH route - Update item (partial update)
-    this.app.patch('*', async (req, res) => {
+    // GET route - List items or get specific item
+    this.app.get('*', async (req, res) => {
       try {
-        const requestPath = req.path;
-        const pathParts = requestPath.split('/').filter(part => part !== '');
+        const route = this.parseRoute(req.path);
         
-        if (pathParts.length === 0) {
-          return res.status(400).json({ error: 'ID é obrigatório para atualização' });
+        if (!(await this.checkParents(route))) {
+          return this.sendParentNotFound(res);
         }
         
-        const id = pathParts.pop();
-        const dirPath = this.getDbPath(pathParts.join('/'));
-        const filePath = path.join(dirPath, `${id}.json`);
+        const includeDeleted = req.query._includeDeleted === 'true';
+        const isVisible = (collection, record) => {
+          return (includeDeleted || !this.isDeleted(collection, record)) && this.canRead(collection, record);
+        };
         
-        try {
-          await fs.access(filePath);
-          
-          const currentContent = await fs.readFile(filePath, 'utf8');
-          const currentData = JSON.parse(currentContent);
+        if (route.id) {
+          const data = await this.getItem(route, { includeDeleted });
           
-          const updatedData = { 
-            ...currentData, 
-            ...req.body, 
-            id: id,
-            updatedAt: new Date().toISOString() 
-          };
+          if (!data) {
+            return res.status(404).json({ error: 'Item não encontrado' });
+          }
+          this.authorize(route.collection, 'GET', data);
           
-          await fs.writeFile(filePath, JSON.stringify(updatedData, null, 2));
+          // The item ETag only describes the stored record, not reshaped ones
+          if (hasRelations(req.query) || hasProjection(req.query)) {
+            await resolveRelations(this.storage, route.collection, [data], req.query, this.maxRelationDepth, isVisible);
+            return res.json(projectItem(data, req.query));
+          }
           
-          res.json(updatedData);
-        } catch (error) {
-          if (error.code === 'ENOENT') {
-            res.status(404).json({ error: 'Item não encontrado' });
-          } else {
-            throw error;
+          res.set('ETag', computeETag(data));
+          const ifNoneMatch = req.get('If-None-Match');
+          if (ifNoneMatch && matchesETag(ifNoneMatch, res.get('ETag'))) {
+            return res.status(304).end();
           }
+          return res.json(data);
+        }
+        
+        const { collection } = route;
+        let items = this.authorizeItems(collection, 'GET', await this.listItems(route, { includeDeleted }));
+        
+        const queryParams = req.query;
+        const result = applyQuery(items, queryParams, { primaryKey: this.getPrimaryKey(collection) });
+        items = result.items;
+        
+        await resolveRelations(this.storage, collection, items, queryParams, this.maxRelationDepth, isVisible);
+        items = applyProjection(items, queryParams);
+        
+        this.setPaginationHeaders(req, res, result.pagination);
+        
+        if (queryParams._envelope === 'true') {
+          const { style, ...meta } = result.pagination;
+          return res.json({ data: items, meta });
         }
+        res.json(items);
       } catch (error) {
-        if (this.verbose) {
-          console.error(`❌ [${new Date().toISOString()}] Erro no PATCH ${req.path}:`, error);
+        this.sendError(req, res, error);
+      }
+    });
+
+    // POST route - Create new item (or several, with an array body)
+    this.app.post('*', async (req, res) => {
+      try {
+        const route = this.parseRoute(req.path, false);
+        
+        if (!(await this.checkParents(route))) {
+          return this.sendParentNotFound(res);
+        }
+        
+        if (Array.isArray(req.body)) {
+          const result = await this.createItems(route, req.body);
+          return res.status(result.errors.length > 0 ? 207 : 201).json(result);
         }
-        console.error('Erro no PATCH:', error);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        
+        const data = await this.createItem(route, req.body);
+        
+        res.set('ETag', computeETag(data));
+        res.status(201).json(data);
+      } catch (error) {
+        this.sendError(req, res, error);
       }
     });
 
-    // DELETE route - Remove item
+    // PUT route - Update item (complete replacement)
+    this.app.put('*', (req, res) => this.updateItem(req, res, 'PUT'));
+
+    // PATCH route - Update item (partial update) or every item matching the filters
+    this.app.patch('*', (req, res) => this.updateItem(req, res, 'PATCH'));
+
+    // DELETE route - Remove item or every item matching the filters
     this.app.delete('*', async (req, res) => {
       try {
-        const requestPath = req.path;
-        const pathParts = requestPath.split('/').filter(part => part !== '');
-        
-        if (pathParts.length === 0) {
+        if (this.getPathParts(req.path).length === 0) {
           return res.status(400).json({ error: 'ID é obrigatório para exclusão' });
         }
         
-        const id = pathParts.pop();
-        const dirPath = this.getDbPath(pathParts.join('/'));
-        const filePath = path.join(dirPath, `${id}.json`);
-        
-        try {
-          await fs.access(filePath);
-          
-          await fs.unlink(filePath);
-          
-          res.json({ message: 'Item removido com sucesso', id });
-        } catch (error) {
-          if (error.code === 'ENOENT') {
-            res.status(404).json({ error: 'Item não encontrado' });
-          } else {
-            throw error;
+        if (this.isBulkRequest(req)) {
+          const route = this.parseRoute(req.path, false);
+          if (!(await this.checkParents(route))) {
+            return this.sendParentNotFound(res);
           }
+          return res.json(await this.deleteItems(route, req.query));
         }
-      } catch (error) {
-        if (this.verbose) {
-          console.error(`❌ [${new Date().toISOString()}] Erro no DELETE ${req.path}:`, error);
+        
+        const route = this.parseRoute(req.path, true);
+        
+        if (!(await this.checkParents(route))) {
+          return this.sendParentNotFound(res);
         }
-        console.error('Erro no DELETE:', error);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        
+        const purge = req.query._purge === 'true';
+        await this.deleteItem(route, { ifMatch: req.get('If-Match'), purge });
+        
+        const trashed = !purge && this.usesSoftDelete(route.collection);
+        res.json({ message: trashed ? 'Item movido para a lixeira' : 'Item removido com sucesso', id: route.id });
+      } catch (error) {
+        this.sendError(req, res, error);
       }
     });
 
@@ -384,12 +1787,35 @@ class GenericRestServer {
 
   async start() {
     try {
-      await this.ensureDirectoryExists(this.dbPath);
+      await this.storage.init();
     } catch (error) {
       console.error(`❌ Erro ao criar diretório de dados: ${error.message}`);
       throw error;
     }
 
+    // Startup data: the seed snapshot, then the fixtures, which replace
+    // whatever their collections held before
+    if (this.seed) {
+      await this.restoreSnapshot(this.seed);
+      console.log(`🌱 Snapshot restaurado: ${this.seed}`);
+    }
+    if (this.from) {
+      const { imported } = await this.importFile(this.from, { mode: 'replace' });
+      console.log(`📥 Importado de ${this.from}: ${Object.keys(imported).join(', ') || 'nenhuma coleção'}`);
+    }
+
+    if (this.watchFiles) {
+      await this.storage.watch(change => this.handleFileChange(change));
+    }
+
+    // Broken rules and routes files should stop the server from starting
+    if (this.auth) {
+      await this.auth.loadRules();
+    }
+    if (this.routes) {
+      await this.routes.load();
+    }
+
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(this.port, (error) => {
         if (error) {
@@ -399,14 +1825,29 @@ class GenericRestServer {
 
         console.log(`🚀 Servidor rodando na porta ${this.port}`);
         console.log(`📁 Diretório de dados: ${this.dbPath}`);
+        console.log(`💾 Armazenamento: ${this.storage.name}`);
         console.log(`� Modo verbose: ${this.verbose ? 'Ativado' : 'Desativado'}`);
         console.log(`�📋 Endpoints disponíveis:`);
         console.log(`   GET    /* - Listar itens de uma coleção (com filtros)`);
-        console.log(`   GET    /*/:id - Obter item específico por UUID`);
+        console.log(`   GET    /*/:id - Obter item específico por id`);
         console.log(`   POST   /* - Criar novo item`);
-        console.log(`   PUT    /*/:id - Atualizar item existente (completo)`);
+        console.log(`   PUT    /*/:id - ${this.upsert ? 'Atualizar ou criar item' : 'Atualizar item existente'} (completo)`);
         console.log(`   PATCH  /*/:id - Atualizar item existente (parcial)`);
         console.log(`   DELETE /*/:id - Remover item`);
+        console.log(`   GET    /_events - Feed de alterações (SSE ou WebSocket)`);
+        console.log(`   *      /_webhooks - Cadastro de webhooks`);
+        console.log(`   GET    /_admin/export, POST /_admin/import - Exportar/importar db.json`);
+        console.log(`   *      /_admin/snapshots, POST /_admin/reset - Snapshots e reinício dos dados`);
+        console.log(`   GET    /_openapi.json, /_docs - Documentação OpenAPI e Swagger UI`);
+        if (this.graphql) {
+          console.log(`   POST   /graphql - Consultas e mutações GraphQL`);
+        }
+        if (this.routes) {
+          console.log(`   *      Rotas personalizadas: ${this.routes.routes.length}`);
+        }
+        if (this.auth) {
+          console.log(`   POST   /_auth/register, /_auth/login - Contas e tokens (JWT)`);
+        }
         console.log(`📝 Filtros disponíveis:`);
         console.log(`   ?campo=valor - Filtro exato`);
         console.log(`   ?campo=valor* - Filtro com wildcard`);
@@ -416,10 +1857,25 @@ class GenericRestServer {
 
         resolve(this.server);
       });
+      this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
     });
   }
 
   async stop() {
+    // Open feeds would keep the HTTP server from closing
+    for (const close of [...this.eventStreams]) {
+      close();
+    }
+    for (const client of this.wss.clients) {
+      client.terminate();
+    }
+    this.webhooks.close();
+    this.chaos.close();
+    
+    if (this.storage.close) {
+      await this.storage.close();
+    }
+    
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
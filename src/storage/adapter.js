@@ -0,0 +1,75 @@
+// Base class for storage adapters.
+//
+// A collection is identified by its request path without the leading slash
+// (e.g. "users" or "products/electronics") and each record by its id.
+// Adapters only move whole records around - filtering, sorting, timestamps
+// and ID generation stay in the server so every adapter behaves the same.
+//
+// Collections under INTERNAL_COLLECTIONS (e.g. "_history/users") hold data
+// kept by the server itself and are not part of listCollections(). Other
+// names starting with "_" (e.g. "_drafts") are regular collections.
+//
+// Records keep their id in the field returned by getPrimaryKey() - "id"
+// unless the `primaryKey` option (a function of the collection) says so.
+const INTERNAL_COLLECTIONS = ['_history', '_snapshots', '_auth'];
+
+class StorageAdapter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.primaryKey = options.primaryKey || (() => 'id');
+  }
+
+  getPrimaryKey(collection) {
+    return this.primaryKey(collection);
+  }
+
+  isInternalCollection(collection) {
+    return INTERNAL_COLLECTIONS.includes(collection.split('/')[0]);
+  }
+
+  // Ids an adapter keeps for its own metadata (e.g. "_schema" for the
+  // filesystem adapter) and never stores records under
+  isReservedId(id) {
+    return false;
+  }
+
+  // Prepare the underlying storage (create directories, files, etc.)
+  async init() {}
+
+  // Release any resources (watchers, handles) held by the adapter
+  async close() {}
+
+  // Report records changed outside the adapter (e.g. files edited by hand)
+  // by calling listener({ type, collection, id, data }) with type "create",
+  // "update" or "delete". Adapters that cannot be edited externally ignore it.
+  async watch(listener) {}
+
+  // List the names of every known collection - internal ones only with
+  // `includeInternal` (used to take snapshots of the whole database)
+  async listCollections(options = {}) {
+    throw new Error(`${this.constructor.name} não implementa listCollections()`);
+  }
+
+  // List every record of a collection (empty array if it does not exist)
+  async list(collection) {
+    throw new Error(`${this.constructor.name} não implementa list()`);
+  }
+
+  // Get a single record, or null if it does not exist
+  async get(collection, id) {
+    throw new Error(`${this.constructor.name} não implementa get()`);
+  }
+
+  // Create or overwrite a record and return what was stored
+  async write(collection, id, record) {
+    throw new Error(`${this.constructor.name} não implementa write()`);
+  }
+
+  // Remove a record, returning false if it did not exist
+  async remove(collection, id) {
+    throw new Error(`${this.constructor.name} não implementa remove()`);
+  }
+}
+
+module.exports = StorageAdapter;
+module.exports.INTERNAL_COLLECTIONS = INTERNAL_COLLECTIONS;
@@ -0,0 +1,362 @@
+const fs = require('fs').promises;
+const { watch } = require('fs');
+const path = require('path');
+const StorageAdapter = require('./adapter');
+
+// Default adapter: one directory per collection and one JSON file per record
+// (e.g. db/users/<id>.json). Files starting with "_" hold collection metadata
+// such as _schema.json and are never listed as records.
+//
+// Listing a collection means parsing every file in its directory, so each
+// listed collection is kept in an in-memory index (unless `cache: false`).
+// The index is filled on the first listing, kept up to date by write() and
+// remove(), and an fs.watch on the directory marks files edited by hand as
+// stale so only those are read again on the next access.
+//
+// watch() follows the whole tree to report records edited by hand. Writes
+// made through the adapter are remembered first so they are never reported.
+class FileSystemStorage extends StorageAdapter {
+  constructor(options = {}) {
+    super('file', options);
+    this.dbPath = path.resolve(options.dbPath || path.join(process.cwd(), 'db'));
+    this.cacheEnabled = options.cache !== false;
+    this.cache = new Map();
+    this.changeListener = null;
+    this.treeWatchers = new Map();
+    this.known = new Map();
+    this.changeQueue = Promise.resolve();
+  }
+
+  // Collections and records never resolve outside the data directory
+  getCollectionPath(collection) {
+    return this.resolveInside(this.dbPath, collection);
+  }
+
+  getRecordPath(collection, id) {
+    if (this.isReservedId(id)) {
+      throw new Error(`Id reservado para metadados: ${id}`);
+    }
+    return this.resolveInside(this.getCollectionPath(collection), `${id}.json`);
+  }
+
+  isReservedId(id) {
+    return !isRecordFile(`${id}.json`);
+  }
+
+  resolveInside(basePath, relativePath) {
+    const resolved = path.resolve(basePath, relativePath);
+    if (resolved !== basePath && !resolved.startsWith(basePath + path.sep)) {
+      throw new Error(`Caminho fora do diretório de dados: ${relativePath}`);
+    }
+    return resolved;
+  }
+
+  async init() {
+    await fs.mkdir(this.dbPath, { recursive: true });
+  }
+
+  async close() {
+    for (const collection of [...this.cache.keys()]) {
+      this.invalidate(collection);
+    }
+    for (const watcher of this.treeWatchers.values()) {
+      watcher.close();
+    }
+    this.treeWatchers.clear();
+    this.known.clear();
+    this.changeListener = null;
+  }
+
+  async watch(listener) {
+    this.changeListener = listener;
+    await this.watchTree('');
+  }
+
+  // Watch a directory and everything below it, remembering the current
+  // content of its records to tell creations from updates later. With
+  // `report` (a directory that appeared later) its records are reported.
+  async watchTree(relativePath, report = false) {
+    const dirPath = path.join(this.dbPath, relativePath);
+    if (this.treeWatchers.has(dirPath)) return;
+
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    const watcher = watch(dirPath, (eventType, fileName) => {
+      if (!fileName) return;
+      // Checks run one at a time so bursts of events stay in order
+      this.changeQueue = this.changeQueue
+        .then(() => this.checkFile(relativePath, fileName))
+        .catch(() => {});
+    });
+    watcher.on('error', () => {
+      watcher.close();
+      this.treeWatchers.delete(dirPath);
+    });
+    watcher.unref();
+    this.treeWatchers.set(dirPath, watcher);
+
+    for (const entry of entries) {
+      const entryPath = path.join(relativePath, entry.name);
+      if (entry.isDirectory() && !this.isInternalCollection(toCollection(entryPath))) {
+        await this.watchTree(entryPath, report);
+      } else if (relativePath && entry.isFile() && isRecordFile(entry.name) && report) {
+        await this.checkFile(relativePath, entry.name);
+      } else if (relativePath && entry.isFile() && isRecordFile(entry.name)) {
+        try {
+          this.known.set(path.join(this.dbPath, entryPath), await fs.readFile(path.join(this.dbPath, entryPath), 'utf8'));
+        } catch (error) {
+          // Removed meanwhile - the watcher reports it
+        }
+      }
+    }
+  }
+
+  unwatchTree(dirPath) {
+    for (const [watchedPath, watcher] of [...this.treeWatchers]) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.treeWatchers.delete(watchedPath);
+      }
+    }
+  }
+
+  async checkFile(relativePath, fileName) {
+    if (!this.changeListener || this.isInternalCollection(toCollection(path.join(relativePath, fileName)))) return;
+
+    const filePath = path.join(this.dbPath, relativePath, fileName);
+    let content = null;
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.isDirectory()) {
+        await this.watchTree(path.join(relativePath, fileName), true);
+        return;
+      }
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') return;
+      // A removed directory may come back later with another inode
+      this.unwatchTree(filePath);
+    }
+
+    if (!relativePath || !isRecordFile(fileName)) return;
+
+    const previous = this.known.get(filePath);
+    if (content === previous || (content === null && previous === undefined)) return;
+
+    let data = null;
+    if (content !== null) {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        // Half-written file - the next event brings the rest
+        return;
+      }
+      this.known.set(filePath, content);
+    } else {
+      this.known.delete(filePath);
+    }
+
+    this.changeListener({
+      type: content === null ? 'delete' : (previous === undefined ? 'create' : 'update'),
+      collection: toCollection(relativePath),
+      id: path.parse(fileName).name,
+      data
+    });
+  }
+
+  // Drop the index of a collection (and stop watching its directory)
+  invalidate(collection) {
+    const entry = this.cache.get(collection);
+    if (entry) {
+      entry.watcher.close();
+      this.cache.delete(collection);
+    }
+  }
+
+  watchCollection(collection) {
+    const watcher = watch(this.getCollectionPath(collection), (eventType, fileName) => {
+      const entry = this.cache.get(collection);
+      if (!entry) return;
+
+      if (fileName && isRecordFile(fileName)) {
+        entry.stale.add(path.parse(fileName).name);
+      } else if (fileName && fileName.endsWith('.json')) {
+        return;
+      } else {
+        // Unknown change (e.g. the directory itself) - rebuild on next access
+        this.invalidate(collection);
+      }
+    });
+    watcher.on('error', () => this.invalidate(collection));
+    // The index must never keep the process alive on its own
+    watcher.unref();
+    return watcher;
+  }
+
+  async readRecord(collection, id) {
+    try {
+      const content = await fs.readFile(this.getRecordPath(collection, id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Return the up-to-date index of a collection, building it if needed.
+  // Resolves to null when the collection directory does not exist.
+  async getIndex(collection) {
+    const dirPath = this.getCollectionPath(collection);
+    let entry = this.cache.get(collection);
+
+    // A cheap stat catches the directory being removed or replaced before
+    // the watcher has had a chance to report it
+    let stats;
+    try {
+      stats = await fs.stat(dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        this.invalidate(collection);
+        return null;
+      }
+      throw error;
+    }
+    if (entry && entry.ino !== stats.ino) {
+      this.invalidate(collection);
+      entry = null;
+    }
+
+    if (!entry) {
+      if (!stats.isDirectory()) {
+        return null;
+      }
+      const files = await fs.readdir(dirPath);
+
+      // Start watching before reading so edits made meanwhile are not missed
+      entry = { records: new Map(), stale: new Set(), watcher: null, ino: stats.ino };
+      if (this.cacheEnabled) {
+        try {
+          entry.watcher = this.watchCollection(collection);
+          this.cache.set(collection, entry);
+        } catch (error) {
+          // Watching is not available (e.g. inotify limit) - serve from disk
+        }
+      }
+
+      for (const file of files.filter(isRecordFile)) {
+        const id = path.parse(file).name;
+        const data = await this.readRecord(collection, id);
+        if (data) {
+          entry.records.set(id, data);
+        }
+      }
+      return entry;
+    }
+
+    for (const id of [...entry.stale]) {
+      entry.stale.delete(id);
+      const data = await this.readRecord(collection, id);
+      if (data) {
+        entry.records.set(id, data);
+      } else {
+        entry.records.delete(id);
+      }
+    }
+    return entry;
+  }
+
+  async listCollections({ includeInternal = false } = {}) {
+    const collections = [];
+
+    const walk = async (relativePath) => {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(this.dbPath, relativePath), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      if (relativePath && entries.some(entry => entry.isFile() && isRecordFile(entry.name))) {
+        collections.push(toCollection(relativePath));
+      }
+
+      for (const entry of entries) {
+        if (entry.isDirectory() && (includeInternal || !this.isInternalCollection(toCollection(path.join(relativePath, entry.name))))) {
+          await walk(path.join(relativePath, entry.name));
+        }
+      }
+    };
+
+    await walk('');
+    return collections.sort();
+  }
+
+  async list(collection) {
+    const entry = await this.getIndex(collection);
+    if (!entry) return [];
+    const primaryKey = this.getPrimaryKey(collection);
+    return [...entry.records.entries()].map(([id, data]) => ({ [primaryKey]: id, ...data }));
+  }
+
+  async get(collection, id) {
+    if (this.cache.has(collection)) {
+      const entry = await this.getIndex(collection);
+      const data = entry && entry.records.get(id);
+      return data ? { ...data } : null;
+    }
+    return this.readRecord(collection, id);
+  }
+
+  async write(collection, id, record) {
+    const content = JSON.stringify(record, null, 2);
+    if (this.changeListener) {
+      this.known.set(this.getRecordPath(collection, id), content);
+    }
+    await fs.mkdir(this.getCollectionPath(collection), { recursive: true });
+    await fs.writeFile(this.getRecordPath(collection, id), content);
+
+    const entry = this.cache.get(collection);
+    if (entry) {
+      entry.records.set(id, JSON.parse(JSON.stringify(record)));
+    }
+    return record;
+  }
+
+  async remove(collection, id) {
+    this.known.delete(this.getRecordPath(collection, id));
+    try {
+      await fs.unlink(this.getRecordPath(collection, id));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return false;
+      }
+      throw error;
+    }
+
+    const entry = this.cache.get(collection);
+    if (entry) {
+      entry.records.delete(id);
+    }
+    return true;
+  }
+}
+
+// Collection name of a directory relative to the data directory
+function toCollection(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// Declared schemas (_schema.json) live next to the records
+function isRecordFile(fileName) {
+  return fileName.endsWith('.json') && fileName !== '_schema.json';
+}
+
+module.exports = FileSystemStorage;
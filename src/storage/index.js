@@ -0,0 +1,37 @@
+const StorageAdapter = require('./adapter');
+const FileSystemStorage = require('./filesystem');
+const MemoryStorage = require('./memory');
+const JsonFileStorage = require('./json-file');
+
+const adapters = {
+  file: FileSystemStorage,
+  memory: MemoryStorage,
+  json: JsonFileStorage
+};
+
+// Resolve the `storage` server option, which can be an adapter instance or
+// the name of one of the built-in adapters ("file", "memory" or "json").
+// Custom adapters only need to implement the StorageAdapter methods.
+function createStorage(storage, options = {}) {
+  if (storage && typeof storage === 'object') {
+    if (options.primaryKey) {
+      storage.primaryKey = options.primaryKey;
+    }
+    return storage;
+  }
+
+  const Adapter = adapters[storage || 'file'];
+  if (!Adapter) {
+    throw new Error(`Adaptador de armazenamento desconhecido: ${storage}`);
+  }
+  return new Adapter(options);
+}
+
+module.exports = {
+  StorageAdapter,
+  INTERNAL_COLLECTIONS: StorageAdapter.INTERNAL_COLLECTIONS,
+  FileSystemStorage,
+  MemoryStorage,
+  JsonFileStorage,
+  createStorage
+};
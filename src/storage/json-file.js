@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const { watch } = require('fs');
+const path = require('path');
+const StorageAdapter = require('./adapter');
+
+// Stores the whole database in a single JSON file using the json-server
+// layout: collections are top-level keys holding arrays of records.
+//
+// {
+//   "users": [{ "id": "...", "name": "John" }],
+//   "products/electronics": [{ "id": "...", "name": "Laptop" }]
+// }
+//
+// Internal collections (such as the revision history) go to a sidecar file
+// next to it (db.internal.json) so db.json keeps the json-server layout.
+class JsonFileStorage extends StorageAdapter {
+  constructor(options = {}) {
+    super('json', options);
+    this.filePath = path.resolve(
+      options.filePath || path.join(options.dbPath || path.join(process.cwd(), 'db'), 'db.json')
+    );
+    this.internalFilePath = this.filePath.replace(/(\.json)?$/, '.internal.json');
+    // Mutations are chained so concurrent requests never interleave their
+    // read-modify-write cycles on the file
+    this.queue = Promise.resolve();
+    this.changeListener = null;
+    this.watcher = null;
+    this.snapshot = new Map();
+  }
+
+  async close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.changeListener = null;
+  }
+
+  // Edits to db.json are found by comparing it with the last known snapshot;
+  // saves made by the adapter refresh the snapshot so they are not reported
+  async watch(listener) {
+    this.changeListener = listener;
+    this.snapshot = this.takeSnapshot(await this.load());
+
+    // The directory is watched because saves replace the file (rename)
+    const fileName = path.basename(this.filePath);
+    this.watcher = watch(path.dirname(this.filePath), (eventType, changed) => {
+      if (changed !== fileName) return;
+      // Queued with the mutations so a check never reads half of a save
+      this.queue = this.queue.then(() => this.checkFile()).catch(() => {});
+    });
+    this.watcher.on('error', () => this.close());
+    this.watcher.unref();
+  }
+
+  // Serialized records keyed by [collection, id]
+  takeSnapshot(db) {
+    const snapshot = new Map();
+    for (const [collection, records] of Object.entries(db)) {
+      if (!Array.isArray(records) || this.isInternalCollection(collection)) continue;
+      const primaryKey = this.getPrimaryKey(collection);
+      for (const record of records) {
+        snapshot.set(JSON.stringify([collection, String(record[primaryKey])]), JSON.stringify(record));
+      }
+    }
+    return snapshot;
+  }
+
+  async checkFile() {
+    if (!this.changeListener) return;
+
+    let db;
+    try {
+      // An empty file is one being rewritten in place (truncated first)
+      const content = await fs.readFile(this.filePath, 'utf8');
+      if (!content.trim()) return;
+      db = JSON.parse(content);
+    } catch (error) {
+      // Missing or half-written file - the next event brings the rest
+      return;
+    }
+
+    const previous = this.snapshot;
+    this.snapshot = this.takeSnapshot(db);
+
+    const report = (type, key, content) => {
+      const [collection, id] = JSON.parse(key);
+      this.changeListener({ type, collection, id, data: content === null ? null : JSON.parse(content) });
+    };
+    for (const [key, content] of this.snapshot) {
+      if (previous.get(key) !== content) {
+        report(previous.has(key) ? 'update' : 'create', key, content);
+      }
+    }
+    for (const key of previous.keys()) {
+      if (!this.snapshot.has(key)) {
+        report('delete', key, null);
+      }
+    }
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      await fs.access(this.filePath);
+    } catch (error) {
+      await this.save({});
+    }
+  }
+
+  getFilePath(collection) {
+    return this.isInternalCollection(collection) ? this.internalFilePath : this.filePath;
+  }
+
+  async load(filePath = this.filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return content.trim() ? JSON.parse(content) : {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async save(db, filePath = this.filePath) {
+    if (this.changeListener && filePath === this.filePath) {
+      this.snapshot = this.takeSnapshot(db);
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(db, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  mutate(fn, filePath = this.filePath) {
+    const run = this.queue.then(async () => {
+      const db = await this.load(filePath);
+      const result = fn(db);
+      await this.save(db, filePath);
+      return result;
+    });
+    // Keep the chain alive even if this mutation fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async listCollections({ includeInternal = false } = {}) {
+    const db = includeInternal
+      ? { ...(await this.load()), ...(await this.load(this.internalFilePath)) }
+      : await this.load();
+    return Object.keys(db)
+      .filter(collection => Array.isArray(db[collection]) && db[collection].length > 0)
+      .filter(collection => includeInternal || !this.isInternalCollection(collection))
+      .sort();
+  }
+
+  async list(collection) {
+    const db = await this.load(this.getFilePath(collection));
+    return Array.isArray(db[collection]) ? db[collection] : [];
+  }
+
+  async get(collection, id) {
+    const primaryKey = this.getPrimaryKey(collection);
+    const records = await this.list(collection);
+    return records.find(record => String(record[primaryKey]) === id) || null;
+  }
+
+  async write(collection, id, record) {
+    const primaryKey = this.getPrimaryKey(collection);
+    return this.mutate(db => {
+      const records = Array.isArray(db[collection]) ? db[collection] : (db[collection] = []);
+      const stored = { ...record, [primaryKey]: record[primaryKey] !== undefined ? record[primaryKey] : id };
+      const index = records.findIndex(item => String(item[primaryKey]) === id);
+
+      if (index === -1) {
+        records.push(stored);
+      } else {
+        records[index] = stored;
+      }
+      return record;
+    }, this.getFilePath(collection));
+  }
+
+  async remove(collection, id) {
+    const primaryKey = this.getPrimaryKey(collection);
+    return this.mutate(db => {
+      const records = Array.isArray(db[collection]) ? db[collection] : [];
+      const index = records.findIndex(item => String(item[primaryKey]) === id);
+
+      if (index === -1) {
+        return false;
+      }
+      records.splice(index, 1);
+      return true;
+    }, this.getFilePath(collection));
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,61 @@
+const StorageAdapter = require('./adapter');
+
+// Keeps everything in process memory - nothing touches the disk, which makes
+// it the fastest option for unit tests. Records are cloned on the way in and
+// out so callers can never mutate the stored copy by accident.
+class MemoryStorage extends StorageAdapter {
+  constructor(options = {}) {
+    super('memory', options);
+    this.collections = new Map();
+
+    // Optional seed data in the { collection: [records] } format
+    for (const [collection, records] of Object.entries(options.data || {})) {
+      for (const record of records) {
+        this.getCollection(collection, true).set(String(record[this.getPrimaryKey(collection)]), clone(record));
+      }
+    }
+  }
+
+  getCollection(collection, create = false) {
+    if (!this.collections.has(collection) && create) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async listCollections({ includeInternal = false } = {}) {
+    return [...this.collections.keys()]
+      .filter(collection => this.collections.get(collection).size > 0)
+      .filter(collection => includeInternal || !this.isInternalCollection(collection))
+      .sort();
+  }
+
+  async list(collection) {
+    const records = this.getCollection(collection);
+    if (!records) return [];
+    const primaryKey = this.getPrimaryKey(collection);
+    return [...records.entries()].map(([id, record]) => ({ [primaryKey]: id, ...clone(record) }));
+  }
+
+  async get(collection, id) {
+    const records = this.getCollection(collection);
+    if (!records || !records.has(id)) return null;
+    return clone(records.get(id));
+  }
+
+  async write(collection, id, record) {
+    this.getCollection(collection, true).set(id, clone(record));
+    return record;
+  }
+
+  async remove(collection, id) {
+    const records = this.getCollection(collection);
+    return records ? records.delete(id) : false;
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryStorage;
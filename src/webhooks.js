@@ -0,0 +1,303 @@
+// Outgoing webhooks: change events are POSTed as JSON to every registered
+// hook whose collections and event types match.
+//
+// Hooks come from a JSON file (an array, _webhooks.json in the data
+// directory by default) and from the /_webhooks endpoints, which save back
+// to it. Payloads are signed with the hook secret (HMAC-SHA256, sent as
+// "X-Webhook-Signature: sha256=<hex>"), failed deliveries are retried with
+// exponential backoff and each hook keeps a log of its latest deliveries.
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('./schema');
+const { isPlainObject } = require('./patch');
+
+const EVENT_TYPES = ['create', 'update', 'delete'];
+
+// Fields a client can set on a hook
+const HOOK_FIELDS = ['url', 'collections', 'events', 'secret', 'active', 'description'];
+
+class WebhookManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || null;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    this.timeout = options.timeout || 5000;
+    this.logLimit = options.logLimit || 50;
+    this.hooks = options.hooks ? options.hooks.map(hook => this.normalize(hook)) : null;
+    this.deliveries = new Map();
+    this.timers = new Set();
+  }
+
+  async load() {
+    if (this.hooks) {
+      return this.hooks;
+    }
+
+    let hooks = [];
+    if (this.filePath) {
+      try {
+        hooks = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Arquivo de webhooks inválido (${this.filePath}): ${error.message}`);
+        }
+      }
+    }
+    // The file may have been loaded by a concurrent call meanwhile
+    if (!this.hooks) {
+      this.hooks = (Array.isArray(hooks) ? hooks : []).map(hook => this.normalize(hook));
+    }
+    return this.hooks;
+  }
+
+  async save() {
+    if (!this.filePath) return;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.hooks, null, 2));
+  }
+
+  normalize(hook) {
+    return {
+      id: hook.id || uuidv4(),
+      url: hook.url,
+      collections: hook.collections || [],
+      events: hook.events || [...EVENT_TYPES],
+      secret: hook.secret || null,
+      active: hook.active !== false,
+      ...(hook.description !== undefined ? { description: hook.description } : {}),
+      createdAt: hook.createdAt || new Date().toISOString()
+    };
+  }
+
+  validate(hook) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    let url = null;
+    try {
+      url = new URL(hook.url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      fail('url', 'deve ser uma URL http ou https');
+    }
+    if (!Array.isArray(hook.collections) || hook.collections.some(item => typeof item !== 'string')) {
+      fail('collections', 'deve ser uma lista de coleções');
+    }
+    if (!Array.isArray(hook.events) || hook.events.some(item => !EVENT_TYPES.includes(item))) {
+      fail('events', `deve ser uma lista com: ${EVENT_TYPES.join(', ')}`);
+    }
+    if (hook.secret !== null && typeof hook.secret !== 'string') {
+      fail('secret', 'deve ser um texto');
+    }
+    if (typeof hook.active !== 'boolean') {
+      fail('active', 'deve ser do tipo boolean');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  pick(body) {
+    if (!isPlainObject(body)) {
+      throw new ValidationError([{ field: '(root)', message: 'deve ser um objeto JSON' }]);
+    }
+    const fields = {};
+    for (const field of HOOK_FIELDS) {
+      if (body[field] !== undefined) fields[field] = body[field];
+    }
+    return fields;
+  }
+
+  async list() {
+    return (await this.load()).map(hook => this.describe(hook));
+  }
+
+  async get(id) {
+    const hook = (await this.load()).find(item => item.id === id);
+    return hook ? this.describe(hook) : null;
+  }
+
+  // Register a hook; a secret is generated when none is given and only
+  // shown in this response
+  async create(body) {
+    const hooks = await this.load();
+    const fields = this.pick(body);
+    const hook = this.normalize({ secret: crypto.randomBytes(24).toString('hex'), ...fields, id: null, createdAt: null });
+    this.validate(hook);
+
+    hooks.push(hook);
+    await this.save();
+    return { ...hook };
+  }
+
+  async update(id, body) {
+    const hooks = await this.load();
+    const index = hooks.findIndex(item => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const hook = { ...hooks[index], ...this.pick(body), updatedAt: new Date().toISOString() };
+    this.validate(hook);
+
+    hooks[index] = hook;
+    await this.save();
+    return this.describe(hook);
+  }
+
+  async remove(id) {
+    const hooks = await this.load();
+    const index = hooks.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    hooks.splice(index, 1);
+    this.deliveries.delete(id);
+    await this.save();
+    return true;
+  }
+
+  // Public view of a hook: the secret is never shown again
+  describe(hook) {
+    const { secret, ...rest } = hook;
+    return { ...rest, signed: Boolean(secret) };
+  }
+
+  // Latest deliveries of a hook, newest first
+  getDeliveries(id) {
+    return [...(this.deliveries.get(id) || [])].reverse();
+  }
+
+  matches(hook, event) {
+    if (!hook.active || !hook.events.includes(event.type)) {
+      return false;
+    }
+    return hook.collections.length === 0 || hook.collections.some(collection => {
+      return event.collection === collection || event.collection.startsWith(`${collection}/`);
+    });
+  }
+
+  // Deliver a change event to every matching hook
+  async dispatch(event) {
+    const hooks = (await this.load()).filter(hook => this.matches(hook, event));
+    await Promise.all(hooks.map(hook => this.deliver(hook, event)));
+  }
+
+  async deliver(hook, event) {
+    const delivery = {
+      id: uuidv4(),
+      webhookId: hook.id,
+      url: hook.url,
+      event: event.type,
+      collection: event.collection,
+      recordId: event.id,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    const log = this.deliveries.get(hook.id) || [];
+    log.push(delivery);
+    this.deliveries.set(hook.id, log.slice(-this.logLimit));
+
+    const body = JSON.stringify({ deliveryId: delivery.id, webhookId: hook.id, ...event });
+    return this.attempt(hook, delivery, body);
+  }
+
+  async attempt(hook, delivery, body) {
+    const attempt = { number: delivery.attempts.length + 1, timestamp: new Date().toISOString() };
+    const startTime = Date.now();
+    let retry = true;
+
+    try {
+      attempt.statusCode = await this.send(hook, delivery, body);
+      // Client errors will not fix themselves, except timeouts and throttling
+      retry = attempt.statusCode >= 500 || [408, 429].includes(attempt.statusCode);
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.duration = Date.now() - startTime;
+    delivery.attempts.push(attempt);
+
+    if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+      return this.complete(delivery, 'success');
+    }
+    if (!retry || attempt.number >= this.maxAttempts) {
+      return this.complete(delivery, 'failed');
+    }
+
+    // Exponential backoff: retryDelay, 2x, 4x...
+    const delay = this.retryDelay * 2 ** (attempt.number - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve(this.attempt(hook, delivery, body));
+      }, delay);
+      this.timers.add(timer);
+    });
+  }
+
+  complete(delivery, status) {
+    delivery.status = status;
+    delivery.completedAt = new Date().toISOString();
+    delete delivery.nextAttemptAt;
+    this.emit('delivery', delivery);
+    return delivery;
+  }
+
+  send(hook, delivery, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'generic-rest-webhooks',
+      'X-Webhook-Id': hook.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id
+    };
+    if (hook.secret) {
+      headers['X-Webhook-Signature'] = `sha256=${sign(hook.secret, body)}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const url = new URL(hook.url);
+      const client = url.protocol === 'https:' ? https : http;
+      const req = client.request(url, { method: 'POST', headers, timeout: this.timeout }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('timeout', () => req.destroy(new Error(`Tempo limite de ${this.timeout}ms excedido`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  // Cancel pending retries
+  close() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+module.exports = {
+  WebhookManager,
+  sign
+};